@@ -6,9 +6,11 @@ import react from '@astrojs/react';
 
 import tailwindcss from '@tailwindcss/vite';
 
+import serviceWorker from './src/integrations/serviceWorker.js';
+
 // https://astro.build/config
 export default defineConfig({
-  integrations: [react(),relativeLinks()],
+  integrations: [react(),relativeLinks(),serviceWorker({ precacheWasm: true, precacheQuestions: true })],
   vite: {
     plugins: [tailwindcss()]
   },
@@ -0,0 +1,258 @@
+/**
+ * --- QUESTION LINTER ---
+ * npm run lint:questions
+ *
+ * 問題バンク (src/content/questions/*.json) の全問題を検査し、問題ごとに誤りを表示する。
+ * 誤りが1件でもあれば終了コード 1 で終わる (警告だけなら 0)。
+ * 1問の検査中に例外が起きても、その問題の誤りとして報告して残りの問題の検査を続ける。
+ *
+ * - ビルドと同じスキーマ (src/libs/questionSchema.ts) での検査と、カテゴリ・サブカテゴリの存在
+ * - 問題IDの重複 (ファイル名が数値として同じもの)
+ * - 図のファイルの存在
+ * - $...$ / $$...$$ が KaTeX (mhchem 込み) で解釈できるか
+ * - 構造式問題の正解 SMILES が RDKit で解釈できるか、分子式が問題文の「分子式 ...」と一致するか
+ *
+ * src/libs のモジュールはブラウザ用 (拡張子なしの import) なので、Vite のモジュールランナーで読み込む。
+ */
+import { readdir, readFile, access } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { join } from 'node:path';
+import { runnerImport } from 'vite';
+import { z } from 'astro/zod';
+import katex from 'katex';
+import 'katex/contrib/mhchem';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const QUESTIONS_DIR = join(ROOT, 'src/content/questions');
+
+const importLib = async (path) => (await runnerImport(join(ROOT, path), { root: ROOT, configFile: false, logLevel: 'error' })).module;
+
+const { questionSchema } = await importLib('src/libs/questionSchema.ts');
+const { parseMarkdown } = await importLib('src/libs/markdown.js');
+const { parseFormula } = await importLib('src/libs/equation.js');
+const { isTemplate, generateVariables, instantiateQuestion } = await importLib('src/libs/numericTemplate.js');
+const RDKit = await createRequire(import.meta.url)('@rdkit/rdkit')();
+
+// LatexText で描画されるテキスト (path はレポート用のフィールド名)
+const renderedTexts = (q) => {
+  const texts = [['question', q.question], ['generalExplanation', q.generalExplanation]];
+  const addFigures = (figures, path) => figures.forEach((f, i) => texts.push([`${path}.${i}.caption`, f.caption]));
+  addFigures(q.figures, 'figures');
+  addFigures(q.explanationFigures, 'explanationFigures');
+  if (q.type === 'selection') {
+    q.options.forEach((o, i) => {
+      texts.push([`options.${i}.text`, o.text], [`options.${i}.explanation`, o.explanation]);
+      if (o.figure) texts.push([`options.${i}.figure.caption`, o.figure.caption]);
+    });
+  }
+  for (const key of ['left', 'right', 'items']) {
+    if (Array.isArray(q[key])) q[key].forEach((text, i) => texts.push([`${key}.${i}`, text]));
+  }
+  return texts.filter(([, text]) => text);
+};
+
+// Markdown の構文木からインライン要素を列挙する
+const inlineNodes = (blocks) => blocks.flatMap(block => {
+  const lines = block.type === 'paragraph' ? block.lines
+    : block.type === 'list' ? block.items
+    : [...block.header, ...block.rows.flat()];
+  const walk = (nodes) => nodes.flatMap(node => node.children ? [node, ...walk(node.children)] : [node]);
+  return lines.flatMap(walk);
+});
+
+const checkMath = (path, text, report) => {
+  for (const node of inlineNodes(parseMarkdown(text))) {
+    if (node.type === 'text' && node.text.includes('$')) {
+      report.warning(path, `閉じていない $ があります: ${node.text.trim()}`);
+    }
+    if (node.type !== 'math') continue;
+    const source = node.display ? `$$${node.tex}$$` : `$${node.tex}$`;
+    try {
+      katex.renderToString(node.tex, {
+        displayMode: node.display,
+        throwOnError: true,
+        strict: (code, message) => {
+          report.warning(path, `${source}: ${message}`);
+          return 'ignore';
+        }
+      });
+    } catch (e) {
+      report.error(path, `${source}: ${e.message}`);
+    }
+  }
+};
+
+// 問題文で述べられた分子式 (「分子式 $\text{C}_2\text{H}_6\text{O}$」「分子式 C₂H₆O」など)。無ければ null
+const statedFormula = (text) => {
+  const plain = text
+    .replace(/\\(?:text|mathrm|ce)\{([^{}]*)\}/g, '$1')
+    .replace(/_\{(\d+)\}|_(\d)/g, (_, a, b) => a || b)
+    .replace(/\$/g, ' ');
+  const match = plain.match(/分子式\s*(?:は|が|:|：)?\s*([A-Z][A-Za-z0-9₀-₉]*)/);
+  return match ? match[1] : null;
+};
+
+// Hill 方式 (C, H, その他アルファベット順) の分子式
+const hillFormula = (atoms) => {
+  const elements = Object.keys(atoms).sort((a, b) => {
+    const rank = (el) => atoms.C && el === 'C' ? 0 : atoms.C && el === 'H' ? 1 : 2;
+    return rank(a) - rank(b) || a.localeCompare(b);
+  });
+  return elements.map(el => atoms[el] === 1 ? el : `${el}${atoms[el]}`).join('');
+};
+
+// SMILES の分子式 (水素を付けた molfile の原子を数える)。解釈できなければ null
+const smilesFormula = (smiles) => {
+  const mol = RDKit.get_mol(smiles);
+  if (!mol) return null;
+  try {
+    if (!mol.is_valid()) return null;
+    const lines = mol.add_hs().split('\n');
+    const atomCount = parseInt(lines[3].slice(0, 3), 10);
+    const atoms = {};
+    for (const line of lines.slice(4, 4 + atomCount)) {
+      const element = line.slice(31, 34).trim();
+      atoms[element] = (atoms[element] || 0) + 1;
+    }
+    return atoms;
+  } finally {
+    mol.delete();
+  }
+};
+
+const sameAtoms = (a, b) => {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(el => (a[el] || 0) === (b[el] || 0));
+};
+
+const checkStructure = (q, report) => {
+  const stated = statedFormula(q.question);
+  let expected = null;
+  if (stated) {
+    try {
+      expected = parseFormula(stated).atoms;
+    } catch (e) {
+      report.warning('question', `問題文の分子式 ${stated} を解釈できません`);
+    }
+  }
+  q.targetFormula.forEach((smiles, i) => {
+    const atoms = smilesFormula(smiles);
+    if (!atoms) {
+      report.error(`targetFormula.${i}`, `SMILES "${smiles}" を RDKit で解釈できません`);
+    } else if (expected && !sameAtoms(atoms, expected)) {
+      report.error(`targetFormula.${i}`, `"${smiles}" の分子式 ${hillFormula(atoms)} が問題文の分子式 ${hillFormula(expected)} と一致しません`);
+    }
+  });
+};
+
+const fileExists = (path) => access(path).then(() => true, () => false);
+
+// 図は画像としてバンドルせず、src の文字列のまま検査する (ファイルの存在は下で確認する)
+const schema = questionSchema({ image: () => z.string().min(1) });
+
+// スキーマの誤りのパス (["options", 0, "text"] → "options.0.text")
+const issuePath = (path) => path.join('.');
+
+const lintQuestion = async (file, text, categories, report) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    report.error('', `JSON として読み込めません: ${e.message}`);
+    return;
+  }
+
+  const parsed = schema.safeParse(data);
+  if (!parsed.success) {
+    // 形式が違うと以降の検査ができないので、スキーマの誤りだけを報告する
+    for (const issue of parsed.error.issues) report.error(issuePath(issue.path), issue.message);
+    return;
+  }
+  const q = parsed.data;
+
+  // src/libs/questionBank.ts と同じカテゴリ参照の検査
+  const category = categories.find(c => c.id === q.cat);
+  if (!category) report.error('cat', `カテゴリ "${q.cat}" は categories.json に存在しません`);
+  else if (!category.subcategories.some(s => s.id === q.sub)) report.error('sub', `サブカテゴリ "${q.sub}" はカテゴリ "${q.cat}" に存在しません`);
+
+  const figures = [
+    ...q.figures.map((f, i) => [`figures.${i}.src`, f.src]),
+    ...q.explanationFigures.map((f, i) => [`explanationFigures.${i}.src`, f.src]),
+    ...(q.type === 'selection' ? q.options.flatMap((o, i) => o.figure ? [[`options.${i}.figure.src`, o.figure.src]] : []) : [])
+  ];
+  for (const [path, src] of figures) {
+    if (src && !(await fileExists(join(QUESTIONS_DIR, src)))) report.error(path, `図のファイル ${src} がありません`);
+  }
+
+  // テンプレートは値を入れてから数式を検査する ({{...}} のままでは KaTeX が解釈できない)
+  let rendered = q;
+  if (isTemplate(q)) {
+    try {
+      rendered = instantiateQuestion(q, generateVariables(q));
+    } catch (e) {
+      // テンプレートの誤りはスキーマの検査で報告済み
+    }
+  }
+  for (const [path, value] of renderedTexts(rendered)) checkMath(path, value, report);
+
+  if (q.type === 'structure') checkStructure(q, report);
+};
+
+const createReport = () => {
+  const issues = [];
+  // 同じ数式の同じ警告は1回だけ表示する
+  const add = (level, path, message) => {
+    if (!issues.some(i => i.level === level && i.path === path && i.message === message)) issues.push({ level, path, message });
+  };
+  return {
+    issues,
+    error: (path, message) => add('error', path, message),
+    warning: (path, message) => add('warning', path, message)
+  };
+};
+
+const main = async () => {
+  const categories = JSON.parse(await readFile(join(ROOT, 'src/content/categories.json'), 'utf-8'));
+  const files = (await readdir(QUESTIONS_DIR)).filter(f => f.endsWith('.json')).sort();
+
+  const reports = new Map(files.map(file => [file, createReport()]));
+  const filesById = new Map();
+  for (const file of files) {
+    const id = Number(file.replace(/\.json$/, ''));
+    if (!Number.isInteger(id)) reports.get(file).error('', 'ファイル名は数値の問題IDにしてください');
+    else filesById.set(id, [...(filesById.get(id) || []), file]);
+  }
+  for (const [id, sameId] of filesById) {
+    if (sameId.length > 1) sameId.forEach(file => reports.get(file).error('', `問題ID ${id} が重複しています (${sameId.join(', ')})`));
+  }
+
+  for (const file of files) {
+    const report = reports.get(file);
+    try {
+      await lintQuestion(file, await readFile(join(QUESTIONS_DIR, file), 'utf-8'), categories, report);
+    } catch (e) {
+      report.error('', `検査中にエラーが発生しました: ${e.message}`);
+    }
+  }
+
+  let errorCount = 0;
+  let warningCount = 0;
+  let failedFiles = 0;
+  for (const [file, { issues }] of reports) {
+    if (issues.length === 0) continue;
+    console.log(`\nquestions/${file}`);
+    for (const { level, path, message } of issues) {
+      console.log(`  ${level === 'error' ? 'エラー' : '警告  '}  ${path ? `${path}: ` : ''}${message}`);
+    }
+    const errors = issues.filter(i => i.level === 'error').length;
+    errorCount += errors;
+    warningCount += issues.length - errors;
+    if (errors > 0) failedFiles++;
+  }
+
+  console.log(`\n${files.length} 問を検査しました: エラー ${errorCount} 件 (${failedFiles} 問)、警告 ${warningCount} 件`);
+  process.exitCode = errorCount > 0 ? 1 : 0;
+};
+
+await main();
@@ -1,261 +1,46 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { 
   Beaker, CheckCircle2, XCircle, ArrowRight, ArrowLeft, 
-  RotateCcw, PenTool, Eraser, Move, HelpCircle, Flag, 
+  RotateCcw, PenTool, Eraser, Move, HelpCircle, 
   Settings, Check, X, AlertCircle, ChevronDown, ChevronRight,
-  Layers, Loader2, Database
+  Layers, Loader2, Database, Shuffle, Repeat, SlidersHorizontal, CircleDot, Timer, CirclePlay, Trash2, Link, Printer
 } from 'lucide-react';
-import NanoMolEditor, { generateSmiles } from './NanoMolEditor';
+import NanoMolEditor from './NanoMolEditor';
+import { generateSmiles } from '../libs/smiles';
+import { loadRDKit } from '../libs/rdkit';
+import { scoreAnswer, checkAnswer, formatScore, judgeFlags } from '../libs/grading';
+import { loadHistory, recordAttempts, clearHistory } from '../libs/history';
+import { gradeNumeric, formatCorrectValue, NUMERIC_RESULT } from '../libs/numeric';
+import { randomSeed } from '../libs/random';
+import { buildSchedule, countDue } from '../libs/scheduler';
+import { QuestionRepository, QuestionFetchError } from '../libs/questionRepository';
+import { formatDuration } from '../libs/timing';
+import { loadSession, saveSession, clearSession } from '../libs/session';
+import { prepareQuestion, formatVariant } from '../libs/numericTemplate';
+import { buildQuizUrl, buildPrintUrl, parseQuizLink, clearQuizLink } from '../libs/quizLink';
+import ProgressDashboard from './ProgressDashboard';
+import TimeDistribution from './TimeDistribution';
+import ResultOverview from './ResultOverview';
+import LatexText from './LatexText';
+import Figure from './Figure';
+import EquationAnswer from './EquationAnswer';
+import MatchingAnswer from './MatchingAnswer';
+import OrderingAnswer from './OrderingAnswer';
+import UpdatePrompt from './UpdatePrompt';
+import OptionCard from './OptionCard';
+import QuestionSearch from './QuestionSearch';
 
 /**
  * --- DATA ARCHITECTURE ---
- * * Scalable Architecture Strategy:
- * 1. INDEX: Lightweight metadata for fast filtering/searching.
- * 2. STORAGE: Heavy content (text, images, explanations).
- * 3. REPOSITORY: Async fetch logic with WeakRef caching.
+ * 1. INDEX: 絞り込み・選出に使う軽量なメタデータ。ページに埋め込まれる (props の questionIndex)
+ * 2. STORAGE: 問題本文 (問題文・選択肢・解説・図)。ビルド時に1問ずつ JSON として出力される
+ * 3. REPOSITORY: 本文を必要になった時点で取得する (src/libs/questionRepository.js)。
+ *    演習中は表示中の問題と次の問題だけを読み込み、採点時に残りを揃える
+ *    全文検索の索引 (props の searchIndexFile) は、スタート画面で検索したときに取得する
+ *
+ * 問題データは src/content/ の content collection で管理する (src/libs/questionBank.ts)。
  */
 
-// 1. カテゴリ定義 (Master Data)
-const CATEGORIES = [
-  {
-    id: 'inorganic',
-    name: '無機化学',
-    subcategories: [
-      { id: 'non_metals', name: '非金属' },
-      { id: 'transition_metals', name: '遷移金属' },
-      { id: 'typical_metals', name: '典型金属' }
-    ]
-  },
-  {
-    id: 'theoretical',
-    name: '理論化学',
-    subcategories: [
-      { id: 'materials', name: '物質' },
-      { id: 'equilibrium', name: '化学平衡' },
-      { id: 'thermochem', name: '熱化学' },
-      { id: 'solution', name: '溶液' },
-      { id: 'acid_base', name: '酸と塩基' },
-      { id: 'redox', name: '酸化還元' }
-    ]
-  },
-  {
-    id: 'organic',
-    name: '有機化学',
-    subcategories: [
-      { id: 'aliphatic', name: '脂肪族炭化水素' },
-      { id: 'aromatic', name: '芳香族化合物' },
-      { id: 'polymer', name: '高分子化合物' }
-    ]
-  }
-];
-
-// 2. 軽量インデックス (Simulated Search Index)
-// 検索時はこの軽量配列のみをスキャンする
-const QUESTION_INDEX = [
-  { id: 101, cat: 'inorganic', sub: 'non_metals', difficulty: 1 },
-  { id: 201, cat: 'theoretical', sub: 'acid_base', difficulty: 2 },
-  { id: 202, cat: 'theoretical', sub: 'thermochem', difficulty: 2 },
-  { id: 301, cat: 'organic', sub: 'aliphatic', difficulty: 3 },
-  { id: 302, cat: 'organic', sub: 'polymer', difficulty: 2 },
-];
-
-// 3. 詳細データストア (Simulated DB / API Response)
-// 本来はサーバーにあるデータ。fetchで取得する対象。
-const QUESTION_DETAILS_DB = {
-  101: {
-    type: "selection",
-    question: "次のハロゲンに関する記述のうち、**誤りを含むもの**を1つまたは2つ選べ。",
-    maxSelect: 2,
-    options: [
-      { text: "フッ素は、常温常圧で淡黄色の気体であり、水と激しく反応して酸素を発生する ($2\\text{F}_2 + 2\\text{H}_2\\text{O} \\to 4\\text{HF} + \\text{O}_2$)。", explanation: "正しい記述です。" },
-      { text: "塩素は、黄緑色の気体であり、強い酸化作用を持つため、ヨウ化カリウムデンプン紙を青変させる。", explanation: "正しい記述です。" },
-      { text: "臭素は、常温で赤褐色の液体であり、唯一の液体元素である。", explanation: "誤り。常温で液体の元素には、臭素($\\text{Br}_2$)のほかに水銀($\\text{Hg}$)があります。" },
-      { text: "ヨウ素は、黒紫色の固体であり、昇華性を有する。", explanation: "正しい記述です。" },
-      { text: "フッ化水素酸は、弱酸であるが、ガラスを腐食する性質を持つため、ポリエチレン容器に保存する。", explanation: "正しい記述です。$\\text{SiO}_2 + 6\\text{HF} \\to \\text{H}_2\\text{SiF}_6 + 2\\text{H}_2\\text{O}$" },
-      { text: "塩化銀は白色沈殿、臭化銀は淡黄色沈殿、ヨウ化銀は黄色沈殿であり、いずれも感光性を持つ。", explanation: "正しい記述です。" }
-    ],
-    answers: [2],
-    generalExplanation: "ハロゲンの単体・化合物の性質は頻出です。特に色と状態、反応性は整理しておきましょう。"
-  },
-  201: {
-    type: "numeric",
-    question: "0.10 mol/L の酢酸水溶液の pH を求めよ。ただし、酢酸の電離定数 $K_a = 2.7 \\times 10^{-5}$ mol/L とし、$\\log_{10} 1.6 = 0.20$、$\\log_{10} 1.7 = 0.23$ とする。有効数字2桁で解答せよ。",
-    correctValue: 2.78,
-    tolerance: 0.05,
-    unit: "",
-    generalExplanation: "$[\\text{H}^+] = \\sqrt{cK_a} = \\sqrt{0.10 \\times 2.7 \\times 10^{-5}} = 1.64 \\times 10^{-3}$。$\\text{pH} = -\\log_{10}(1.64 \\times 10^{-3}) = 3 - 0.21 = 2.79$ (厳密解)。"
-  },
-  202: {
-    type: "selection",
-    question: "次の熱化学方程式に関する記述のうち、**正しいもの**を1つ選べ。\n$\\text{C}(黒鉛) + 2\\text{H}_2(気) = \\text{CH}_4(気) + 75 \\text{kJ}$",
-    maxSelect: 1,
-    options: [
-      { text: "メタンの生成熱は $75 \\text{kJ}/\\text{mol}$ である。", explanation: "正しい。成分元素の単体から化合物1molが生成する反応であり、発熱反応です。" },
-      { text: "メタンの燃焼熱は $75 \\text{kJ}/\\text{mol}$ である。", explanation: "誤り。これは燃焼反応（酸素との反応）ではありません。" },
-      { text: "黒鉛の燃焼熱と水素の燃焼熱の和は、メタンの燃焼熱より小さい。", explanation: "誤り。ヘスの法則より $Q_{\\text{C}} + 2Q_{\\text{H}_2} = Q_{\\text{f,CH}_4} + Q_{\\text{c,CH}_4}$。" },
-      { text: "この反応は吸熱反応である。", explanation: "誤り。$+75\\text{kJ}$ は発熱を表します。" }
-    ],
-    answers: [0],
-    generalExplanation: "熱化学方程式の定義（生成熱、燃焼熱）を正確に把握しているかが問われます。"
-  },
-  301: {
-    type: "structure",
-    question: "分子式 $\\text{C}_2\\text{H}_6\\text{O}$ で表される化合物のうち、ナトリウムと反応して水素を発生するものの構造式を描け。",
-    targetFormula: ["CC(C)O","CCCO","C(CC)O","C(C)(C)O"],
-    generalExplanation: "$\\text{C}_2\\text{H}_6\\text{O}$ の異性体にはエタノールとジメチルエーテルがあります。$\\text{Na}$ と反応するのはヒドロキシ基を持つアルコール（エタノール）です。"
-  },
-  302: {
-    type: "selection",
-    question: "合成高分子化合物に関する記述として**正しいもの**を2つ選べ。",
-    maxSelect: 2,
-    options: [
-      { text: "ナイロン66は、ヘキサメチレンジアミンとアジピン酸の縮合重合によって得られる。", explanation: "正しい。" },
-      { text: "ポリエチレンテレフタラート(PET)は、エチレングリコールとフタル酸の縮合重合によって得られる。", explanation: "誤り。テレフタル酸を用いる。" },
-      { text: "ポリ乳酸は、乳酸の縮合重合によって得られる生分解性プラスチックである。", explanation: "正しい。" },
-      { text: "天然ゴムは、イソプレンが付加重合した構造を持ち、その幾何異性体はトランス形である。", explanation: "誤り。天然ゴムはシス形ポリイソプレン。" }
-    ],
-    answers: [0, 2],
-    generalExplanation: ""
-  }
-};
-
-/**
- * --- REPOSITORY (LOGIC) ---
- * WeakRef と fetch を用いたデータ取得ロジック
- */
-class QuestionRepository {
-  constructor() {
-    // WeakRefを用いたキャッシュ
-    // Key: ID, Value: WeakRef(QuestionObject)
-    // メモリ圧迫時にGCされることを許容しつつ、直近のアクセスは高速化する
-    this.cache = new Map();
-  }
-
-  /**
-   * 条件に基づいて問題IDを選出する (高速・軽量)
-   */
-  selectQuestionIds(subCategories, count = 5) {
-    const candidates = QUESTION_INDEX.filter(q => subCategories.has(q.sub));
-    // Fisher-Yates Shuffle
-    for (let i = candidates.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
-    }
-    return candidates.slice(0, count);
-  }
-
-  /**
-   * 必要な問題データのみを非同期で取得する (Simulated fetch)
-   */
-  async fetchQuestionsByIds(indexItems) {
-    const results = [];
-    
-    // ネットワーク遅延シミュレーション (300ms - 800ms)
-    // await new Promise(resolve => setTimeout(resolve, 300 + Math.random() * 500));
-
-    for (const item of indexItems) {
-      let data = null;
-
-      // 1. キャッシュ確認 (WeakRef)
-      if (this.cache.has(item.id)) {
-        const ref = this.cache.get(item.id);
-        const cachedData = ref.deref(); // GCされていなければ取得
-        if (cachedData) {
-          console.log(`Cache Hit for ${item.id}`);
-          data = cachedData;
-        }
-      }
-
-      // 2. キャッシュミスなら "Fetch"
-      if (!data) {
-        console.log(`Fetching data for ${item.id}...`);
-        const rawData = QUESTION_DETAILS_DB[item.id];
-        if (rawData) {
-          // マージ: Index情報のメタデータ + DBの詳細データ
-          data = { ...item, ...rawData };
-          // 3. キャッシュに登録 (WeakRef)
-          this.cache.set(item.id, new WeakRef(data));
-        }
-      }
-
-      if (data) results.push(data);
-    }
-    return results;
-  }
-}
-
-const repository = new QuestionRepository();
-
-
-/**
- * --- UTILS ---
- */
-
-// Custom Latex Renderer using CDN (replaces react-katex)
-const LatexText = ({ text }) => {
-  const [katexReady, setKatexReady] = useState(false);
-  
-  // Load KaTeX from CDN
-  useEffect(() => {
-    if (window.katex) {
-      setKatexReady(true);
-      return;
-    }
-    
-    // JS
-    if (!document.getElementById('katex-js')) {
-      const script = document.createElement('script');
-      script.id = 'katex-js';
-      script.src = "https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.js";
-      script.onload = () => setKatexReady(true);
-      script.onerror = () => console.error("Failed to load Katex");
-      document.head.appendChild(script);
-      
-      // CSS
-      const link = document.createElement('link');
-      link.rel = 'stylesheet';
-      link.href = "https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css";
-      document.head.appendChild(link);
-    } else {
-      // If script exists but not ready, wait for it
-      const interval = setInterval(() => {
-        if (window.katex) {
-          setKatexReady(true);
-          clearInterval(interval);
-        }
-      }, 100);
-      return () => clearInterval(interval);
-    }
-  }, []);
-
-  if (!text) return null;
-
-  // Split by $...$ for inline math
-  const parts = text.split(/(\$[^$]+\$)/g);
-
-  return (
-    <span>
-      {parts.map((part, index) => {
-        if (part.startsWith('$') && part.endsWith('$')) {
-          const math = part.slice(1, -1);
-          if (!katexReady) {
-            return <span key={index} className="text-gray-400 italic">...</span>;
-          }
-          try {
-            const html = window.katex.renderToString(math, {
-              throwOnError: false,
-              displayMode: false
-            });
-            return <span key={index} dangerouslySetInnerHTML={{ __html: html }} />;
-          } catch (e) {
-            return <span key={index}>{part}</span>;
-          }
-        }
-        return <span key={index}>{part}</span>;
-      })}
-    </span>
-  );
-};
 
 /**
  * --- COMPONENTS ---
@@ -394,8 +179,8 @@ const StructureEditor = ({ value, onChange, isReadOnly = false }) => {
 };
 
 // カテゴリ選択コンポーネント
-const CategorySelector = ({ selectedSubCategories, onToggleSubCategory, onToggleCategory }) => {
-  const [expandedCategories, setExpandedCategories] = useState(CATEGORIES.map(c => c.id));
+const CategorySelector = ({ categories, selectedSubCategories, onToggleSubCategory, onToggleCategory }) => {
+  const [expandedCategories, setExpandedCategories] = useState(categories.map(c => c.id));
 
   const toggleExpand = (catId) => {
     setExpandedCategories(prev => 
@@ -409,7 +194,7 @@ const CategorySelector = ({ selectedSubCategories, onToggleSubCategory, onToggle
         <Layers size={20} /> 出題範囲を選択
       </div>
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-        {CATEGORIES.map(cat => {
+        {categories.map(cat => {
           const subCatIds = cat.subcategories.map(s => s.id);
           const isAllSelected = subCatIds.every(id => selectedSubCategories.has(id));
           const isPartiallySelected = !isAllSelected && subCatIds.some(id => selectedSubCategories.has(id));
@@ -462,10 +247,138 @@ const CategorySelector = ({ selectedSubCategories, onToggleSubCategory, onToggle
   );
 };
 
+// 選択問題の部分点の方式 (all_or_nothing は表示しない)
+const SCORING_LABELS = {
+  per_option: '選択肢ごとの正誤の判断で部分点',
+  penalty: '正しい選択肢ごとに部分点・誤った選択は減点'
+};
+
+// 数値問題の誤答の種類ごとのフィードバック
+const NUMERIC_FEEDBACK = {
+  [NUMERIC_RESULT.WRONG_SIG_FIGS]: "値は正しいですが、有効数字の桁数が違います。",
+  [NUMERIC_RESULT.WRONG_UNIT]: "単位が違うか、単位がありません。",
+  [NUMERIC_RESULT.WRONG_VALUE]: "値が違います。",
+  [NUMERIC_RESULT.INVALID]: "数値として解釈できませんでした。",
+  [NUMERIC_RESULT.UNANSWERED]: "未解答です。"
+};
+
+// 出題数・難易度・出題順・制限時間の設定
+const ORDER_OPTIONS = [
+  { k: 'random', l: 'ランダム' },
+  { k: 'category', l: '分野順' },
+  { k: 'difficulty', l: '易しい順' }
+];
+
+const QuizSettings = ({ config, onChange, matchingCount }) => {
+  const [minDifficulty, maxDifficulty] = config.difficulty;
+
+  const setDifficulty = (level) => {
+    // 範囲の端をクリックで伸縮させる (1つだけ選択も可能)
+    if (level < minDifficulty) onChange({ ...config, difficulty: [level, maxDifficulty] });
+    else if (level > maxDifficulty) onChange({ ...config, difficulty: [minDifficulty, level] });
+    else if (level === minDifficulty && level !== maxDifficulty) onChange({ ...config, difficulty: [level + 1, maxDifficulty] });
+    else if (level === maxDifficulty && level !== minDifficulty) onChange({ ...config, difficulty: [minDifficulty, level - 1] });
+    else onChange({ ...config, difficulty: [level, level] });
+  };
+
+  return (
+    <div className="mb-8 space-y-4">
+      <div className="flex items-center gap-2 mb-2 text-slate-700 font-bold">
+        <SlidersHorizontal size={20} /> 出題条件
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 bg-white border border-slate-200 rounded-xl p-4 shadow-sm">
+        <div>
+          <p className="text-xs font-bold text-slate-400 mb-2">出題数</p>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min={1}
+              max={50}
+              value={config.count}
+              onChange={(e) => onChange({ ...config, count: Math.max(1, Math.min(50, parseInt(e.target.value, 10) || 1)) })}
+              className="w-20 p-2 border-2 border-slate-200 rounded-lg font-mono outline-none focus:border-blue-500"
+            />
+            <span className="text-sm text-slate-500">問</span>
+          </div>
+        </div>
+        <div>
+          <p className="text-xs font-bold text-slate-400 mb-2">難易度</p>
+          <div className="inline-flex bg-slate-100 p-1 rounded-lg gap-1">
+            {[1, 2, 3].map(level => (
+              <button key={level} onClick={() => setDifficulty(level)}
+                className={`px-3 py-1.5 text-sm rounded-md transition-all ${level >= minDifficulty && level <= maxDifficulty ? 'bg-white shadow text-blue-700 font-bold' : 'text-slate-400 hover:bg-slate-200'}`}>
+                {'★'.repeat(level)}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <p className="text-xs font-bold text-slate-400 mb-2">出題順</p>
+          <div className="inline-flex bg-slate-100 p-1 rounded-lg gap-1">
+            {ORDER_OPTIONS.map(opt => (
+              <button key={opt.k} onClick={() => onChange({ ...config, order: opt.k })}
+                className={`px-3 py-1.5 text-sm rounded-md transition-all ${config.order === opt.k ? 'bg-white shadow text-blue-700 font-bold' : 'text-slate-500 hover:bg-slate-200'}`}>
+                {opt.l}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <p className="text-xs font-bold text-slate-400 mb-2">制限時間 (試験モード)</p>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min={0}
+              max={180}
+              value={config.timeLimit}
+              onChange={(e) => onChange({ ...config, timeLimit: Math.max(0, Math.min(180, parseInt(e.target.value, 10) || 0)) })}
+              className="w-20 p-2 border-2 border-slate-200 rounded-lg font-mono outline-none focus:border-blue-500"
+            />
+            <span className="text-sm text-slate-500">分</span>
+            <span className="text-xs text-slate-400">{config.timeLimit > 0 ? '時間切れで自動的に採点します' : '0 で時間無制限'}</span>
+          </div>
+        </div>
+        <p className={`md:col-span-2 text-xs ${matchingCount < config.count ? 'text-orange-600' : 'text-slate-500'}`}>
+          条件に合う問題: {matchingCount}問
+          {matchingCount < config.count && ` (指定した ${config.count} 問に足りないため、${matchingCount} 問で出題されます)`}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+// 共有用リンクのコピーボタン
+const CopyLinkButton = ({ onClick, copied, label = 'リンクをコピー' }) => (
+  <button onClick={onClick} className="flex items-center gap-1.5 px-3 py-2 text-sm text-slate-500 hover:text-blue-700 hover:bg-blue-50 rounded-lg transition-colors">
+    {copied ? <><Check size={16} className="text-green-600" /> コピーしました</> : <><Link size={16} /> {label}</>}
+  </button>
+);
+
+// 印刷用プリント (/print) を開くボタン
+const PrintButton = ({ onClick }) => (
+  <button onClick={onClick} className="flex items-center gap-1.5 px-3 py-2 text-sm text-slate-500 hover:text-blue-700 hover:bg-blue-50 rounded-lg transition-colors">
+    <Printer size={16} /> 印刷用プリント
+  </button>
+);
+
 // メインアプリ
-export default function App() {
+export default function App({ categories, questionIndex, bankVersion, searchIndexFile }) {
+  const repository = useMemo(
+    () => new QuestionRepository(categories, questionIndex, { searchIndexFile }),
+    [categories, questionIndex, searchIndexFile]
+  );
   const [gameState, setGameState] = useState('start'); // start, loading, quiz, result
-  const [questions, setQuestions] = useState([]);
+  // 出題中の問題 (索引の項目) と、読み込み済みの問題 (ID → 本文)
+  const [quizItems, setQuizItems] = useState([]);
+  const [loadedQuestions, setLoadedQuestions] = useState({});
+  // 読み込みに失敗した問題 (ID → メッセージ)。「再読み込み」を押すまで再取得しない
+  const [loadErrors, setLoadErrors] = useState({});
+  // 読み込み済みの問題は本文、まだの問題は索引の項目 (id・cat・sub・difficulty のみ)
+  const questions = useMemo(() => quizItems.map(item => loadedQuestions[item.id] || item), [quizItems, loadedQuestions]);
+  // 演習を始めるたびに増やす (前の演習の問題が後から読み込まれても反映しないように)
+  const quizToken = useRef(0);
+  // 再開した演習でテンプレート問題に出題されていた値 (中断前と同じ値で再現する)
+  const savedVariants = useRef({});
   const [currentIndex, setCurrentIndex] = useState(0);
   
   // 出題範囲管理
@@ -477,13 +390,117 @@ export default function App() {
   const [showSettings, setShowSettings] = useState(false);
   const [explanationMode, setExplanationMode] = useState('all');
 
+  // 学習履歴 (localStorage)
+  const [history, setHistory] = useState([]);
+  const schedule = useMemo(() => buildSchedule(history), [history]);
+
+  // 出題モード: random | review (間隔反復)
+  const [selectionMode, setSelectionMode] = useState('random');
+  // 出題数・難易度・出題順・制限時間 (分, 0 は無制限)
+  const [quizConfig, setQuizConfig] = useState({ count: 5, difficulty: [1, 3], order: 'random', timeLimit: 0 });
+  // 出題条件に関するお知らせ (問題数不足など)
+  const [quizNotice, setQuizNotice] = useState(null);
+  // 演習を始められなかった理由 (スタート画面) / 採点できなかった理由 (演習画面)
+  const [startError, setStartError] = useState(null);
+  const [quizError, setQuizError] = useState(null);
+
+  // 試験モード: { timeLimit, deadline } (ms)。制限時間なしの演習では null
+  const [exam, setExam] = useState(null);
+  const [timeUp, setTimeUp] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  // 問題ごとの所要時間 [ms]。表示中の問題の分は questionShownAt からの経過時間としてまだ加算していない
+  const [questionTimes, setQuestionTimes] = useState({});
+  const questionShownAt = useRef(null);
+
+  // 再読み込み前に中断した演習 (スタート画面で再開 / 破棄を選ぶ)
+  const [pendingSession, setPendingSession] = useState(null);
+  // 中断した演習があるときに開いた共有リンク (再開か破棄を選ぶまで始めない)
+  const [pendingLink, setPendingLink] = useState(null);
+
+  // 問題の選出に使う乱数シード (seed: 次の演習用 / quizSeed: 出題中の演習のもの)
+  const [seed, setSeed] = useState(null);
+  const [quizSeed, setQuizSeed] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+
   // 初期化：全選択状態にする
   useEffect(() => {
     const allIds = new Set();
-    CATEGORIES.forEach(c => c.subcategories.forEach(s => allIds.add(s.id)));
+    categories.forEach(c => c.subcategories.forEach(s => allIds.add(s.id)));
     setSelectedSubCategories(allIds);
+  }, [categories]);
+
+  useEffect(() => {
+    setHistory(loadHistory());
+    setSeed(randomSeed());
+  }, []);
+
+  // 共有リンク (/problems?ids=...) から開いた場合はその演習を始める
+  // 中断した演習があれば、黙って上書きしないように再開するか破棄するかを先に選んでもらう
+  useEffect(() => {
+    const link = parseQuizLink(window.location.search);
+    if (!link) return;
+    clearQuizLink();
+    if (loadSession(bankVersion)) setPendingLink(link);
+    else startFromLink(link);
   }, []);
 
+  // 表示中の問題の所要時間を計測する (問題を離れたとき・採点したときに加算)
+  useEffect(() => {
+    if (gameState !== 'quiz' || !quizItems[currentIndex]) return;
+    const qId = quizItems[currentIndex].id;
+    questionShownAt.current = Date.now();
+    return () => {
+      const elapsed = Date.now() - questionShownAt.current;
+      questionShownAt.current = null;
+      setQuestionTimes(times => ({ ...times, [qId]: (times[qId] || 0) + elapsed }));
+    };
+  }, [gameState, currentIndex, quizItems]);
+
+  // 表示中の問題を読み込み、次の問題を先読みする
+  useEffect(() => {
+    if (gameState !== 'quiz') return;
+    const current = quizItems[currentIndex];
+    if (current && !loadedQuestions[current.id] && !loadErrors[current.id]) loadQuestion(current);
+    const next = quizItems[currentIndex + 1];
+    if (next && !loadedQuestions[next.id]) loadQuestion(next, { quiet: true });
+  }, [gameState, currentIndex, quizItems, loadedQuestions, loadErrors]);
+
+  // スタート画面に戻ったら、中断した演習があるか確認する
+  useEffect(() => {
+    if (gameState === 'start') setPendingSession(loadSession(bankVersion));
+  }, [gameState, bankVersion]);
+
+  // 解答中の演習を保存する (タブを再読み込みしても再開できるように)
+  useEffect(() => {
+    if (gameState !== 'quiz') return;
+    saveSession({
+      bankVersion,
+      questionIds: quizItems.map(q => q.id),
+      userAnswers,
+      userFlags,
+      currentIndex,
+      questionTimes,
+      exam,
+      seed: quizSeed,
+      variants: { ...savedVariants.current, ...Object.fromEntries(questions.filter(q => q.variant).map(q => [q.id, q.variant])) }
+    });
+  }, [gameState, bankVersion, quizItems, questions, userAnswers, userFlags, currentIndex, questionTimes, exam, quizSeed]);
+
+  // 試験モードのカウントダウン
+  useEffect(() => {
+    if (gameState !== 'quiz' || !exam) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [gameState, exam]);
+
+  // 時間切れで自動的に採点する
+  useEffect(() => {
+    if (gameState === 'quiz' && exam && !timeUp && now >= exam.deadline) {
+      setTimeUp(true);
+      finishQuiz();
+    }
+  }, [gameState, exam, timeUp, now]);
+
   const toggleSubCategory = (id) => {
     const newSet = new Set(selectedSubCategories);
     if (newSet.has(id)) newSet.delete(id);
@@ -501,38 +518,240 @@ export default function App() {
     setSelectedSubCategories(newSet);
   };
 
+  // 現在の出題条件で問題を選出する (同じ seed なら共有リンクと同じ問題になる)
+  const selectByConfig = (subCategories, mode) =>
+    repository.selectQuestionIds(subCategories, { ...quizConfig, mode, schedule, seed });
+
   // 非同期出題開始ロジック
   const startQuiz = async () => {
     if (selectedSubCategories.size === 0) return;
 
-    // 1. Loading State
+    // 1. Select IDs (Fast)
+    const { items: selectedIndexItems, message } = selectByConfig(selectedSubCategories, selectionMode);
+    if (selectedIndexItems.length === 0) {
+      setStartError(message);
+      return;
+    }
+    await beginQuiz(selectedIndexItems, { message, timeLimit: quizConfig.timeLimit });
+  };
+
+  // 選出済みの問題で演習を始める
+  const beginQuiz = async (indexItems, { message = null, timeLimit = 0, usedSeed = seed } = {}) => {
+    // 2. Loading State
     setGameState('loading');
+    setStartError(null);
+    setPendingLink(null);
 
     try {
-      // 2. Select IDs (Fast)
-      const selectedIndexItems = repository.selectQuestionIds(selectedSubCategories, 5);
-      
-      if (selectedIndexItems.length === 0) {
-        alert("選択されたカテゴリに該当する問題がありません。");
-        setGameState('start');
-        return;
-      }
-
-      // 3. Fetch Details (Simulated Async Network Call)
-      const loadedQuestions = await repository.fetchQuestionsByIds(selectedIndexItems);
-
-      setQuestions(loadedQuestions);
+      // 3. Fetch Details (1問目だけ読み込んで始め、残りは解答中に読み込む)
+      const first = prepareQuestion(await repository.fetchQuestion(indexItems[0]), usedSeed);
+
+      quizToken.current++;
+      savedVariants.current = {};
+      setQuizItems(indexItems);
+      setLoadedQuestions({ [first.id]: first });
+      setLoadErrors({});
+      setQuizError(null);
+      setQuizNotice(message);
+      setQuizSeed(usedSeed);
+      setSeed(randomSeed()); // 次の演習は別の問題になるように
       setCurrentIndex(0);
       setUserAnswers({});
       setUserFlags({});
+      setQuestionTimes({});
+      setTimeUp(false);
+      setNow(Date.now());
+      setExam(timeLimit > 0
+        ? { timeLimit: timeLimit * 60000, deadline: Date.now() + timeLimit * 60000 }
+        : null);
       setGameState('quiz');
     } catch (e) {
       console.error(e);
-      alert("問題の取得に失敗しました。");
+      setStartError(`${e.message}。通信状態を確認して、もう一度お試しください。`);
       setGameState('start');
     }
   };
 
+  // 問題を読み込んで loadedQuestions に加える
+  // quiet: 先読み。失敗しても表示せず、その問題を開いたときに読み込み直す
+  const loadQuestion = async (item, { quiet = false } = {}) => {
+    const token = quizToken.current;
+    try {
+      const question = prepareQuestion(await repository.fetchQuestion(item), quizSeed, savedVariants.current);
+      if (token !== quizToken.current) return;
+      setLoadedQuestions(loaded => loaded[item.id] ? loaded : { ...loaded, [item.id]: question });
+    } catch (e) {
+      if (quiet || token !== quizToken.current) return;
+      console.error(e);
+      setLoadErrors(errors => ({ ...errors, [item.id]: e.message }));
+    }
+  };
+
+  const retryLoad = (id) => {
+    setLoadErrors(({ [id]: _, ...rest }) => rest);
+  };
+
+  // 検索結果から演習を始める (関連度の高い順に出題数まで)
+  const startFromSearch = (items) => {
+    const selected = items.slice(0, quizConfig.count);
+    const message = items.length > selected.length
+      ? `検索に一致した ${items.length} 問のうち、関連度の高い ${selected.length} 問を出題します。`
+      : null;
+    beginQuiz(selected, { message, timeLimit: quizConfig.timeLimit });
+  };
+
+  // 共有リンクの内容で演習を始める (ids があればその問題をその順に、なければ subs と seed から選出)
+  const startFromLink = async (link) => {
+    const allSubIds = categories.flatMap(c => c.subcategories.map(s => s.id));
+    const linkSubs = link.subCategories.filter(id => allSubIds.includes(id));
+    if (linkSubs.length > 0) setSelectedSubCategories(new Set(linkSubs));
+    setSelectionMode(link.mode);
+    setQuizConfig(config => ({ ...config, timeLimit: link.timeLimit }));
+
+    let items;
+    let message = null;
+    if (link.ids.length > 0) {
+      items = link.ids.map(id => questionIndex.find(q => q.id === id)).filter(Boolean);
+      if (items.length === 0) message = "リンクの問題が見つかりませんでした。";
+      else if (items.length < link.ids.length) {
+        message = `リンクの問題のうち ${link.ids.length - items.length} 問が見つからなかったため、${items.length} 問で出題します。`;
+      }
+    } else {
+      ({ items, message } = repository.selectQuestionIds(new Set(linkSubs.length > 0 ? linkSubs : allSubIds), {
+        ...quizConfig,
+        mode: link.mode,
+        schedule: buildSchedule(loadHistory()),
+        seed: link.seed ?? undefined
+      }));
+    }
+
+    if (items.length === 0) {
+      setStartError(message);
+      return;
+    }
+    await beginQuiz(items, { message, timeLimit: link.timeLimit, usedSeed: link.seed });
+  };
+
+  // 結果画面から、条件に合う問題だけで演習をやり直す
+  const retryQuestions = (predicate) => {
+    const items = questions.filter(predicate)
+      .map(q => questionIndex.find(item => item.id === q.id))
+      .filter(Boolean);
+    if (items.length > 0) beginQuiz(items);
+  };
+
+  // 共有用 URL をクリップボードへコピーする
+  const copyQuizLink = async (link) => {
+    const url = buildQuizUrl(link);
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (e) {
+      console.error(e);
+      prompt("このリンクをコピーしてください", url);
+    }
+  };
+
+  // スタート画面: これから始める演習と同じ問題になるリンク
+  const copyStartLink = () => {
+    const { items, message } = selectByConfig(selectedSubCategories, selectionMode);
+    if (items.length === 0) {
+      setStartError(message);
+      return;
+    }
+    copyQuizLink({
+      ids: items.map(q => q.id),
+      subCategories: [...selectedSubCategories],
+      seed,
+      mode: selectionMode,
+      timeLimit: quizConfig.timeLimit
+    });
+  };
+
+  // 結果画面: 解いた演習と同じ問題のリンク
+  const copyResultLink = () => {
+    copyQuizLink({
+      ids: questions.map(q => q.id),
+      subCategories: [...selectedSubCategories],
+      seed: quizSeed,
+      mode: selectionMode,
+      timeLimit: exam ? exam.timeLimit / 60000 : 0
+    });
+  };
+
+  // スタート画面: これから始める演習と同じ問題の印刷用プリント
+  const openStartPrint = () => {
+    const { items, message } = selectByConfig(selectedSubCategories, selectionMode);
+    if (items.length === 0) {
+      setStartError(message);
+      return;
+    }
+    window.open(buildPrintUrl({ ids: items.map(q => q.id), seed }), '_blank');
+  };
+
+  // 結果画面: 解いた演習と同じ問題・同じ値の印刷用プリント
+  const openResultPrint = () => {
+    window.open(buildPrintUrl({ ids: questions.map(q => q.id), seed: quizSeed }), '_blank');
+  };
+
+  // 中断した演習を再開する
+  const resumeSession = async () => {
+    const session = pendingSession;
+    setPendingSession(null);
+    setPendingLink(null);
+    setGameState('loading');
+    setStartError(null);
+
+    try {
+      const indexItems = session.questionIds.map(id => questionIndex.find(q => q.id === id)).filter(Boolean);
+      if (indexItems.length !== session.questionIds.length) {
+        throw new Error("Saved session refers to questions that no longer exist");
+      }
+
+      // 中断した問題だけ読み込んで再開する (テンプレート問題は中断前と同じ値で再現する)
+      const variants = session.variants || {};
+      const resumeIndex = Math.min(session.currentIndex || 0, indexItems.length - 1);
+      const current = prepareQuestion(await repository.fetchQuestion(indexItems[resumeIndex]), session.seed ?? null, variants);
+
+      quizToken.current++;
+      savedVariants.current = variants;
+      setQuizItems(indexItems);
+      setLoadedQuestions({ [current.id]: current });
+      setLoadErrors({});
+      setQuizError(null);
+      setQuizNotice(null);
+      setCurrentIndex(resumeIndex);
+      setUserAnswers(session.userAnswers || {});
+      setUserFlags(session.userFlags || {});
+      setQuestionTimes(session.questionTimes || {});
+      setTimeUp(false);
+      setNow(Date.now());
+      setExam(session.exam || null);
+      setQuizSeed(session.seed ?? null);
+      setGameState('quiz');
+    } catch (e) {
+      console.error(e);
+      if (e instanceof QuestionFetchError) {
+        // 通信の失敗なら演習は残しておく (スタート画面に戻ると再び「再開する」を選べる)
+        setStartError(`${e.message}。通信状態を確認して、もう一度お試しください。`);
+      } else {
+        clearSession();
+        setStartError("中断した演習を再開できませんでした。");
+      }
+      setGameState('start');
+    }
+  };
+
+  const discardSession = () => {
+    clearSession();
+    setPendingSession(null);
+    if (pendingLink) {
+      setPendingLink(null);
+      startFromLink(pendingLink);
+    }
+  };
+
   const handleSelectionAnswer = (qId, optionIdx, maxSelect) => {
     const current = userAnswers[qId] || [];
     let next;
@@ -556,45 +775,102 @@ export default function App() {
     setUserAnswers({ ...userAnswers, [qId]: value });
   };
 
+  const handleTextAnswer = (qId, value) => {
+    setUserAnswers({ ...userAnswers, [qId]: value });
+  };
+
+  const handleEquationAnswer = (qId, value) => {
+    setUserAnswers({ ...userAnswers, [qId]: value });
+  };
+
+  const handleMatchingAnswer = (qId, value) => {
+    setUserAnswers({ ...userAnswers, [qId]: value });
+  };
+
+  const handleOrderingAnswer = (qId, value) => {
+    setUserAnswers({ ...userAnswers, [qId]: value });
+  };
+
   const handleStructureAnswer = (qId, data) => {
     setUserAnswers({ ...userAnswers, [qId]: data });
   };
 
-  const finishQuiz = () => {
+  const finishQuiz = async () => {
+    setQuizError(null);
+    // 採点には全問の本文が必要 (まだ読み込んでいない問題をここで揃える)
+    let gradedQuestions = questions;
+    const missing = quizItems.filter(item => !loadedQuestions[item.id]);
+    if (missing.length > 0) {
+      try {
+        const fetched = await repository.fetchQuestionsByIds(missing);
+        const prepared = Object.fromEntries(fetched.map(q => [q.id, prepareQuestion(q, quizSeed, savedVariants.current)]));
+        setLoadedQuestions(loaded => ({ ...loaded, ...prepared }));
+        gradedQuestions = quizItems.map(item => loadedQuestions[item.id] || prepared[item.id]);
+      } catch (e) {
+        console.error(e);
+        setQuizError(`${e.message}。採点には全問の問題データが必要です。通信状態を確認して、もう一度「採点して結果を見る」を押してください。`);
+        return;
+      }
+    }
+    // 構造式の採点 (正規SMILESの比較) には RDKit が必要
+    if (gradedQuestions.some(q => q.type === 'structure')) {
+      try {
+        await loadRDKit();
+      } catch (e) {
+        console.error(e);
+        setQuizError("構造式の採点に必要な RDKit を読み込めませんでした。通信状態を確認して、もう一度「採点して結果を見る」を押してください。");
+        return;
+      }
+    }
+    // 表示中の問題の経過時間も含めた所要時間 (state への加算は計測用 effect の後始末で行われる)
+    const times = { ...questionTimes };
+    if (questionShownAt.current !== null && currentItem) {
+      times[currentItem.id] = (times[currentItem.id] || 0) + Date.now() - questionShownAt.current;
+    }
+
     setGameState('result');
     setCurrentIndex(0); // 結果画面の最初は1問目から
+    clearSession();
+
+    const timestamp = Date.now();
+    setHistory(recordAttempts(gradedQuestions.map(q => ({
+      questionId: q.id,
+      answer: serializeAnswer(q, userAnswers[q.id]),
+      correct: checkAnswer(q, userAnswers[q.id]),
+      score: scoreAnswer(q, userAnswers[q.id]),
+      timestamp,
+      timeSpent: times[q.id] || 0,
+      ...(q.variant && { variant: q.variant }),
+      ...(q.type === 'selection' && { flags: judgeFlags(q, userAnswers[q.id], userFlags[q.id]) })
+    }))));
+  };
+
+  const handleClearHistory = () => {
+    if (confirm("学習履歴をすべて消去しますか？")) setHistory(clearHistory());
+  };
+
+  // 履歴保存用の回答 (構造式はエディタ状態ではなく SMILES として残す)
+  const serializeAnswer = (question, answer) => {
+    if (answer === undefined || answer === null) return null;
+    if (question.type === 'structure') return generateSmiles(answer.atoms || [], answer.bonds || []);
+    return answer;
   };
 
+  // 部分点を含む合計得点
   const calculateScore = () => {
-    let score = 0;
-    questions.forEach(q => {
-      if (checkAnswer(q, userAnswers[q.id])) score++;
-    });
-    return score;
-  };
-
-  const checkAnswer = (question, answer) => {
-    if (!answer) return false;
-    
-    if (question.type === 'selection') {
-        const sortedUser = [...(answer || [])].sort().join(',');
-        const sortedAns = [...question.answers].sort().join(',');
-        return sortedUser === sortedAns;
-    } else if (question.type === 'numeric') {
-        const val = parseFloat(answer);
-        return !isNaN(val) && Math.abs(val - question.correctValue) <= question.tolerance;
-    } else if (question.type === 'structure') {
-        // 簡易判定: 原子数と結合タイプ
-        if (!answer.atoms || answer.atoms.length === 0) return false;
-        return question.targetFormula.includes(generateSmiles(answer.atoms,answer.bonds));
-    }
-    return false;
+    return questions.reduce((sum, q) => sum + scoreAnswer(q, userAnswers[q.id]), 0);
   };
 
   // UI Components
-  const currentQ = questions[currentIndex];
+  // 表示中の問題 (まだ読み込んでいなければ undefined)
+  const currentItem = quizItems[currentIndex];
+  const currentQ = currentItem && loadedQuestions[currentItem.id];
   const isReview = gameState === 'result';
-  const isCorrectCurrent = isReview ? checkAnswer(currentQ, userAnswers[currentQ.id]) : false;
+  const scoreCurrent = isReview ? scoreAnswer(currentQ, userAnswers[currentQ.id]) : 0;
+  const isCorrectCurrent = scoreCurrent === 1;
+  const isPartialCurrent = scoreCurrent > 0 && scoreCurrent < 1;
+  const remainingTime = exam ? exam.deadline - now : null;
+  const resultScores = isReview ? questions.map(q => scoreAnswer(q, userAnswers[q.id])) : [];
 
   // 解説表示判定
   const shouldShowExplanation = isReview && (
@@ -605,6 +881,8 @@ export default function App() {
 
   return (
     <div className="min-h-screen bg-slate-50 text-slate-900 font-sans pb-24">
+      <UpdatePrompt />
+
       {/* Header */}
       <header className="bg-white border-b border-slate-200 sticky top-0 z-20 shadow-sm">
         <div className="max-w-4xl mx-auto px-4 h-16 flex items-center justify-between">
@@ -616,9 +894,15 @@ export default function App() {
           </div>
           
           <div className="flex items-center gap-3">
+             {gameState === 'quiz' && exam && (
+               <div className={`flex items-center gap-1.5 px-3 py-1 rounded-full text-sm font-bold font-mono
+                 ${remainingTime <= 60000 ? 'bg-red-100 text-red-700 animate-pulse' : remainingTime <= exam.timeLimit * 0.1 ? 'bg-orange-100 text-orange-700' : 'bg-slate-100 text-slate-700'}`}>
+                 <Timer size={16} /> {formatDuration(remainingTime)}
+               </div>
+             )}
              {gameState === 'result' && (
                <div className="bg-slate-100 px-3 py-1 rounded-full text-sm font-bold text-slate-700">
-                 Score: {calculateScore()} / {questions.length}
+                 Score: {formatScore(calculateScore())} / {questions.length}
                </div>
              )}
              <button onClick={() => setShowSettings(!showSettings)} className="p-2 text-slate-500 hover:bg-slate-100 rounded-full">
@@ -655,13 +939,90 @@ export default function App() {
                 <p className="text-slate-500">演習したい分野を選択してください</p>
               </div>
 
+              {/* 中断した演習 */}
+              {pendingSession && (
+                <div className="mb-8 flex flex-col sm:flex-row sm:items-center gap-3 bg-blue-50 border border-blue-200 rounded-xl p-4">
+                  <div className="flex-1 text-sm text-blue-900">
+                    <p className="font-bold">中断した演習があります</p>
+                    {pendingLink && (
+                      <p className="mt-1">共有リンクの演習を始めると、中断した演習は破棄されます。どちらにするか選んでください。</p>
+                    )}
+                    <p className="text-xs text-blue-700 mt-1">
+                      {pendingSession.questionIds.length}問中 {Object.keys(pendingSession.userAnswers || {}).length}問解答済み
+                      ・{new Date(pendingSession.savedAt).toLocaleString('ja-JP')} に保存
+                      {pendingSession.exam && ' ・試験モード (制限時間は中断中も経過します)'}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <button onClick={resumeSession} className="flex items-center gap-1.5 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold rounded-lg">
+                      <CirclePlay size={16} /> 再開する
+                    </button>
+                    <button onClick={discardSession} className="flex items-center gap-1.5 px-4 py-2 text-slate-500 hover:bg-white hover:text-red-600 text-sm rounded-lg">
+                      <Trash2 size={16} /> {pendingLink ? '破棄してリンクの演習を始める' : '破棄する'}
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* 学習状況 */}
+              <ProgressDashboard
+                history={history}
+                categories={categories}
+                questionIndex={questionIndex}
+                onClear={handleClearHistory}
+              />
+
+              {/* キーワード・タグ検索 */}
+              <QuestionSearch
+                repository={repository}
+                questionIndex={questionIndex}
+                categories={categories}
+                onStart={startFromSearch}
+              />
+
               {/* カテゴリ選択UI */}
               <CategorySelector 
+                categories={categories}
                 selectedSubCategories={selectedSubCategories}
                 onToggleSubCategory={toggleSubCategory}
                 onToggleCategory={toggleCategory}
               />
               
+              {/* 出題数・難易度・出題順 */}
+              <QuizSettings
+                config={quizConfig}
+                onChange={setQuizConfig}
+                matchingCount={questionIndex.filter(q =>
+                  selectedSubCategories.has(q.sub) &&
+                  q.difficulty >= quizConfig.difficulty[0] && q.difficulty <= quizConfig.difficulty[1]
+                ).length}
+              />
+
+              {/* 出題モード */}
+              <div className="flex flex-col items-center gap-2">
+                <div className="inline-flex bg-slate-100 p-1 rounded-lg gap-1">
+                  {[ { k: 'random', l: 'ランダム', icon: Shuffle }, { k: 'review', l: '復習 (間隔反復)', icon: Repeat } ].map(opt => (
+                    <button key={opt.k} onClick={() => setSelectionMode(opt.k)}
+                      className={`flex items-center gap-1.5 px-4 py-2 text-sm rounded-md transition-all ${selectionMode === opt.k ? 'bg-white shadow text-blue-700 font-bold' : 'text-slate-500 hover:bg-slate-200'}`}>
+                      <opt.icon size={16} /> {opt.l}
+                    </button>
+                  ))}
+                </div>
+                {selectionMode === 'review' && (
+                  <p className="text-xs text-slate-500">
+                    復習期限を迎えた問題: {countDue(questionIndex.filter(q => selectedSubCategories.has(q.sub)), schedule)}問 (期限切れ・前回不正解の問題を優先して出題します)
+                  </p>
+                )}
+              </div>
+
+              {startError && (
+                <div className="mt-6 flex items-start gap-2 bg-red-50 border border-red-200 text-red-800 text-sm p-3 rounded-lg">
+                  <AlertCircle size={18} className="flex-shrink-0 mt-0.5" />
+                  <span className="flex-1">{startError}</span>
+                  <button onClick={() => setStartError(null)} className="text-red-600 hover:text-red-800"><X size={16} /></button>
+                </div>
+              )}
+
               <div className="flex justify-center mt-6">
                 <button 
                   onClick={startQuiz}
@@ -671,6 +1032,12 @@ export default function App() {
                   {selectedSubCategories.size === 0 ? "分野を選択してください" : "演習を開始する"}
                 </button>
               </div>
+              {selectedSubCategories.size > 0 && (
+                <div className="flex flex-wrap justify-center gap-2 mt-3">
+                  <CopyLinkButton onClick={copyStartLink} copied={linkCopied} label="この条件の演習リンクをコピー" />
+                  <PrintButton onClick={openStartPrint} />
+                </div>
+              )}
             </div>
           </div>
         )}
@@ -679,24 +1046,95 @@ export default function App() {
           <div className="flex flex-col items-center justify-center py-20 animate-in fade-in">
              <Loader2 size={48} className="text-blue-600 animate-spin mb-4" />
              <p className="text-slate-500 font-medium">問題をデータベースから取得中...</p>
-             <p className="text-xs text-slate-400 mt-2">Fetching & Caching via WeakRef...</p>
+          </div>
+        )}
+
+        {/* 結果画面: 概要・共有リンク・時間配分 */}
+        {isReview && (
+          <div className="mb-6 space-y-2">
+            <div className="flex justify-end gap-2">
+              <PrintButton onClick={openResultPrint} />
+              <CopyLinkButton onClick={copyResultLink} copied={linkCopied} label="この演習のリンクをコピー" />
+            </div>
+            <ResultOverview
+              questions={questions}
+              scores={resultScores}
+              userFlags={userFlags}
+              categories={categories}
+              questionIndex={questionIndex}
+              onJump={setCurrentIndex}
+              onRetryWrong={() => retryQuestions((q, i) => resultScores[i] < 1)}
+              onRetryFlagged={() => retryQuestions(q => (userFlags[q.id] || []).length > 0)}
+            />
+            <TimeDistribution
+              questions={questions}
+              times={questionTimes}
+              scores={resultScores}
+              timeLimit={exam?.timeLimit}
+              currentIndex={currentIndex}
+              onJump={setCurrentIndex}
+            />
+          </div>
+        )}
+
+        {gameState === 'quiz' && quizError && (
+          <div className="mb-6 flex items-start gap-2 bg-red-50 border border-red-200 text-red-800 text-sm p-3 rounded-lg">
+            <AlertCircle size={18} className="flex-shrink-0 mt-0.5" />
+            <span className="flex-1">{quizError}</span>
+            <button onClick={() => setQuizError(null)} className="text-red-600 hover:text-red-800"><X size={16} /></button>
+          </div>
+        )}
+
+        {/* 表示中の問題を読み込み中 / 読み込みに失敗 (ほかの問題へは下のナビゲーションで移動できる) */}
+        {gameState === 'quiz' && currentItem && !currentQ && (
+          <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-10 flex flex-col items-center text-center animate-in fade-in">
+            {loadErrors[currentItem.id] ? (
+              <>
+                <AlertCircle size={40} className="text-red-500 mb-3" />
+                <p className="font-bold text-slate-700">Q{currentIndex + 1} を読み込めませんでした</p>
+                <p className="text-sm text-slate-500 mt-1">{loadErrors[currentItem.id]}</p>
+                <button onClick={() => retryLoad(currentItem.id)} className="mt-4 flex items-center gap-1.5 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold rounded-lg">
+                  <RotateCcw size={16} /> 再読み込み
+                </button>
+              </>
+            ) : (
+              <>
+                <Loader2 size={32} className="text-blue-600 animate-spin mb-3" />
+                <p className="text-slate-500">Q{currentIndex + 1} を読み込み中...</p>
+              </>
+            )}
           </div>
         )}
 
         {(gameState === 'quiz' || gameState === 'result') && currentQ && (
           <div className="space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500" key={currentQ.id}>
+
+            {quizNotice && !isReview && (
+              <div className="flex items-start gap-2 bg-yellow-50 border border-yellow-200 text-yellow-800 text-sm p-3 rounded-lg">
+                <AlertCircle size={18} className="flex-shrink-0 mt-0.5" />
+                <span className="flex-1">{quizNotice}</span>
+                <button onClick={() => setQuizNotice(null)} className="text-yellow-600 hover:text-yellow-800"><X size={16} /></button>
+              </div>
+            )}
+
+            {timeUp && !isReview && (
+              <div className="flex items-start gap-2 bg-red-50 border border-red-200 text-red-800 text-sm p-3 rounded-lg">
+                <Timer size={18} className="flex-shrink-0 mt-0.5" />
+                <span className="flex-1">時間切れです。「採点して結果を見る」を押して採点してください。</span>
+              </div>
+            )}
             
-            <div className={`bg-white rounded-xl shadow-sm border overflow-hidden ${isReview ? (isCorrectCurrent ? 'border-green-200 ring-1 ring-green-100' : 'border-red-200 ring-1 ring-red-100') : 'border-slate-200'}`}>
+            <div className={`bg-white rounded-xl shadow-sm border overflow-hidden ${isReview ? (isCorrectCurrent ? 'border-green-200 ring-1 ring-green-100' : isPartialCurrent ? 'border-amber-200 ring-1 ring-amber-100' : 'border-red-200 ring-1 ring-red-100') : 'border-slate-200'}`}>
               <div className="bg-slate-800 text-white p-4 flex justify-between items-center">
                 <div className="flex items-center gap-3">
                   <span className="text-xs font-bold bg-slate-700 px-2 py-1 rounded text-blue-200">Q{currentIndex + 1}</span>
                   <div className="flex flex-col md:flex-row md:items-center md:gap-2">
-                    <span className="text-sm font-semibold tracking-wider text-slate-300">{CATEGORIES.find(c => c.id === currentQ.cat)?.name}</span>
+                    <span className="text-sm font-semibold tracking-wider text-slate-300">{categories.find(c => c.id === currentQ.cat)?.name}</span>
                   </div>
                 </div>
                 {isReview && (
-                  <div className={`flex items-center gap-2 px-3 py-1 rounded-full text-sm font-bold ${isCorrectCurrent ? 'bg-green-500 text-white' : 'bg-red-500 text-white'}`}>
-                    {isCorrectCurrent ? <><Check size={16}/> 正解</> : <><X size={16}/> 不正解</>}
+                  <div className={`flex items-center gap-2 px-3 py-1 rounded-full text-sm font-bold ${isCorrectCurrent ? 'bg-green-500 text-white' : isPartialCurrent ? 'bg-amber-500 text-white' : 'bg-red-500 text-white'}`}>
+                    {isCorrectCurrent ? <><Check size={16}/> 正解</> : isPartialCurrent ? <><CircleDot size={16}/> 部分正解 ({formatScore(scoreCurrent)}点)</> : <><X size={16}/> 不正解</>}
                   </div>
                 )}
               </div>
@@ -706,82 +1144,42 @@ export default function App() {
                 <div className="text-lg md:text-xl font-medium text-slate-800 mb-6 leading-relaxed">
                   <LatexText text={currentQ.question} />
                 </div>
+                {currentQ.figures.map((figure, i) => <Figure key={i} figure={figure} />)}
 
                 {/* Selection Type */}
                 {currentQ.type === 'selection' && (
                   <div className="space-y-4">
                     <p className="text-xs text-slate-400 font-bold mb-2 uppercase tracking-wide">
                       {currentQ.maxSelect}つまで選択可能
+                      {SCORING_LABELS[currentQ.scoring] && <span className="ml-2 normal-case">({SCORING_LABELS[currentQ.scoring]})</span>}
                     </p>
-                    {currentQ.options.map((optionData, idx) => {
-                      // optionData is now object { text, explanation }
-                      const isSelected = (userAnswers[currentQ.id] || []).includes(idx);
-                      const isFlagged = (userFlags[currentQ.id] || []).includes(idx);
-                      const isRealAnswer = currentQ.answers.includes(idx);
-                      
-                      let cardStyle = "border-slate-100 hover:border-blue-300 bg-white";
-                      if (isReview) {
-                        if (isRealAnswer) cardStyle = "border-green-500 bg-green-50"; 
-                        else if (isSelected) cardStyle = "border-red-400 bg-red-50"; 
-                        else cardStyle = "opacity-70 border-slate-100"; 
-                      } else {
-                        if (isSelected) cardStyle = "border-blue-500 bg-blue-50 shadow-sm ring-1 ring-blue-100";
-                      }
-
-                      return (
-                        <div key={idx} className="flex flex-col gap-1">
-                          <div className={`relative flex items-stretch rounded-lg border-2 transition-all ${cardStyle}`}>
-                            <div 
-                              className={`flex-1 p-4 cursor-pointer flex items-start gap-3 ${isReview ? 'cursor-default' : ''}`}
-                              onClick={() => !isReview && handleSelectionAnswer(currentQ.id, idx, currentQ.maxSelect)}
-                            >
-                              <div className={`w-6 h-6 rounded border flex items-center justify-center flex-shrink-0 mt-0.5 transition-colors
-                                ${isSelected 
-                                  ? (isReview ? (isRealAnswer ? 'bg-green-500 border-green-500 text-white' : 'bg-red-500 border-red-500 text-white') : 'bg-blue-600 border-blue-600 text-white')
-                                  : (isReview && isRealAnswer ? 'border-green-500 text-green-600' : 'border-slate-300')
-                                }
-                              `}>
-                                {isSelected && <CheckCircle2 size={16} />}
-                                {isReview && !isSelected && isRealAnswer && <div className="w-2 h-2 rounded-full bg-green-500"/>}
-                              </div>
-                              <span className={`text-slate-700 ${isReview && isRealAnswer ? 'font-bold text-green-900' : ''}`}>
-                                <LatexText text={optionData.text} />
-                              </span>
-                            </div>
-                            
-                            {!isReview && (
-                              <button 
-                                onClick={(e) => { e.stopPropagation(); handleFlagToggle(currentQ.id, idx); }}
-                                className={`px-3 border-l hover:bg-slate-50 flex items-center justify-center transition-colors rounded-r-lg
-                                  ${isFlagged ? 'text-orange-500 bg-orange-50 border-orange-200' : 'text-slate-300 border-slate-100'}
-                                `}
-                              >
-                                <Flag size={18} fill={isFlagged ? "currentColor" : "none"} />
-                              </button>
-                            )}
-                          </div>
-                          
-                          {/* 選択肢ごとの解説 (Review Mode Only) */}
-                          {shouldShowExplanation && optionData.explanation && (
-                            <div className="ml-10 text-sm text-slate-600 bg-slate-50 p-2 rounded border border-slate-100 mb-2 animate-in fade-in">
-                               <span className="font-bold text-slate-400 mr-2">解説:</span>
-                               <LatexText text={optionData.explanation} />
-                            </div>
-                          )}
-                        </div>
-                      );
-                    })}
+                    {currentQ.options.map((optionData, idx) => (
+                      <OptionCard
+                        key={idx}
+                        option={optionData}
+                        selected={(userAnswers[currentQ.id] || []).includes(idx)}
+                        flagged={(userFlags[currentQ.id] || []).includes(idx)}
+                        isAnswer={currentQ.answers.includes(idx)}
+                        isReview={isReview}
+                        showExplanation={shouldShowExplanation}
+                        onSelect={() => handleSelectionAnswer(currentQ.id, idx, currentQ.maxSelect)}
+                        onToggleFlag={() => handleFlagToggle(currentQ.id, idx)}
+                      />
+                    ))}
                   </div>
                 )}
 
                 {/* Numeric Type */}
                 {currentQ.type === 'numeric' && (
                   <div className="py-4">
-                    <label className="text-sm text-slate-500 block mb-2">数値を入力:</label>
+                    <label className="text-sm text-slate-500 block mb-2">
+                      {currentQ.requireUnit ? '数値と単位を入力:' : '数値を入力:'}
+                    </label>
                     <div className="flex items-center gap-2">
                       <input
-                        type="number"
-                        step="any"
+                        type="text"
+                        inputMode={currentQ.requireUnit ? 'text' : 'decimal'}
+                        autoComplete="off"
                         value={userAnswers[currentQ.id] || ""}
                         onChange={(e) => handleNumericAnswer(currentQ.id, e.target.value)}
                         disabled={isReview}
@@ -791,16 +1189,95 @@ export default function App() {
                             : 'border-slate-200 focus:border-blue-500'
                           }
                         `}
-                        placeholder="例: 1.23"
+                        placeholder={currentQ.requireUnit ? "例: 1.6×10^-3 mol/L" : "例: 1.23, 1.6e-3, 1.6×10^-3"}
                       />
-                      <span className="text-slate-500 font-serif">{currentQ.unit}</span>
+                      {!currentQ.requireUnit && <span className="text-slate-500 font-serif">{currentQ.unit}</span>}
                     </div>
+                    {!isReview && currentQ.sigFigs && (
+                      <p className="text-xs text-slate-400 mt-2">有効数字{currentQ.sigFigs}桁で解答</p>
+                    )}
                     {isReview && !isCorrectCurrent && (
-                       <p className="text-sm text-red-600 mt-2 font-bold">正解: {currentQ.correctValue} (±{currentQ.tolerance})</p>
+                      <div className="mt-2 space-y-1">
+                        <p className="text-sm text-red-600 font-bold">
+                          {NUMERIC_FEEDBACK[gradeNumeric(currentQ, userAnswers[currentQ.id]).status]}
+                        </p>
+                        <p className="text-sm text-red-600">
+                          正解: {formatCorrectValue(currentQ)}
+                          {currentQ.sigFigs ? ` (有効数字${currentQ.sigFigs}桁)` : ` (±${currentQ.tolerance})`}
+                        </p>
+                      </div>
+                    )}
+                    {isReview && currentQ.variant && (
+                      <p className="text-xs text-slate-400 mt-2">
+                        出題された値: <LatexText text={formatVariant(currentQ.variant)} />
+                      </p>
                     )}
                   </div>
                 )}
 
+                {/* Text Type */}
+                {currentQ.type === 'text' && (
+                  <div className="py-4">
+                    <label className="text-sm text-slate-500 block mb-2">解答を入力 (名称または化学式):</label>
+                    <input
+                      type="text"
+                      autoComplete="off"
+                      value={userAnswers[currentQ.id] || ""}
+                      onChange={(e) => handleTextAnswer(currentQ.id, e.target.value)}
+                      disabled={isReview}
+                      className={`w-full md:w-2/3 p-3 text-lg border-2 rounded-lg outline-none transition-colors
+                        ${isReview 
+                          ? (isCorrectCurrent ? 'border-green-500 bg-green-50 text-green-900' : 'border-red-500 bg-red-50 text-red-900')
+                          : 'border-slate-200 focus:border-blue-500'
+                        }
+                      `}
+                    />
+                    {isReview && (
+                      <div className={`mt-3 text-sm ${isCorrectCurrent ? 'text-green-700' : 'text-red-600'}`}>
+                        <span className="font-bold mr-2">{isCorrectCurrent ? '正解として受け付ける解答:' : '正解:'}</span>
+                        {currentQ.acceptedAnswers.map((accepted, i) => (
+                          <span key={i} className="inline-block bg-white border border-current/20 rounded px-2 py-0.5 mr-1 mb-1">{accepted}</span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* Equation Type */}
+                {currentQ.type === 'equation' && (
+                  <EquationAnswer
+                    question={currentQ}
+                    value={userAnswers[currentQ.id]}
+                    onChange={(value) => handleEquationAnswer(currentQ.id, value)}
+                    isReview={isReview}
+                  />
+                )}
+
+                {/* Matching Type */}
+                {currentQ.type === 'matching' && (
+                  <>
+                    {currentQ.scoring === 'per_option' && (
+                      <p className="text-xs text-slate-400 pt-4">(正しい組ごとに部分点)</p>
+                    )}
+                    <MatchingAnswer
+                      question={currentQ}
+                      value={userAnswers[currentQ.id]}
+                      onChange={(value) => handleMatchingAnswer(currentQ.id, value)}
+                      isReview={isReview}
+                    />
+                  </>
+                )}
+
+                {/* Ordering Type */}
+                {currentQ.type === 'ordering' && (
+                  <OrderingAnswer
+                    question={currentQ}
+                    value={userAnswers[currentQ.id]}
+                    onChange={(value) => handleOrderingAnswer(currentQ.id, value)}
+                    isReview={isReview}
+                  />
+                )}
+
                 {/* Structure Type */}
                 {currentQ.type === 'structure' && (
                   <div className="py-2">
@@ -817,7 +1294,7 @@ export default function App() {
                 )}
 
                 {/* General Explanation (Overall) */}
-                {shouldShowExplanation && currentQ.generalExplanation && (
+                {shouldShowExplanation && (currentQ.generalExplanation || currentQ.explanationFigures.length > 0) && (
                   <div className="mt-8 pt-6 border-t border-slate-100 animate-in fade-in">
                     <div className="flex items-center gap-2 mb-3 text-slate-800 font-bold">
                       <AlertCircle size={20} className="text-blue-600"/> 
@@ -825,6 +1302,7 @@ export default function App() {
                     </div>
                     <div className="bg-slate-50 p-4 rounded-lg text-slate-700 leading-relaxed border border-slate-100">
                        <LatexText text={currentQ.generalExplanation} />
+                       {currentQ.explanationFigures.map((figure, i) => <Figure key={i} figure={figure} />)}
                     </div>
                   </div>
                 )}
@@ -877,14 +1355,14 @@ export default function App() {
                 
                 if (isReview) {
                   // Review Mode: Color by Correctness
-                  const correct = checkAnswer(q, userAnswers[q.id]);
-                  dotClass += correct ? "bg-green-500 " : "bg-red-500 ";
+                  const score = resultScores[i];
+                  dotClass += score === 1 ? "bg-green-500 " : score > 0 ? "bg-amber-400 " : "bg-red-500 ";
                   if (isActive) dotClass += "ring-2 ring-offset-2 ring-slate-400 scale-125";
                   else dotClass += "opacity-70 hover:opacity-100";
                 } else {
                   // Quiz Mode: Color by Answered Status
                   const hasAnswer = userAnswers[q.id] && (
-                    Array.isArray(userAnswers[q.id]) ? userAnswers[q.id].length > 0 : true
+                    Array.isArray(userAnswers[q.id]) ? userAnswers[q.id].some(v => v !== null && v !== '') : true
                   );
                   
                   if (isActive) dotClass += "bg-blue-600 ring-2 ring-offset-2 ring-blue-200 scale-125";
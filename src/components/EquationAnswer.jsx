@@ -0,0 +1,114 @@
+import React, { useMemo } from 'react';
+import LatexText from './LatexText';
+import {
+  parseEquation, gradeEquation, equationToLatex, formulaToLatex, EQUATION_RESULT
+} from '../libs/equation';
+
+// 反応式問題の誤答の種類ごとのフィードバック
+const EQUATION_FEEDBACK = {
+  [EQUATION_RESULT.UNBALANCED_ATOMS]: "原子の数が左辺と右辺で釣り合っていません。",
+  [EQUATION_RESULT.UNBALANCED_CHARGE]: "電荷が左辺と右辺で釣り合っていません。",
+  [EQUATION_RESULT.DIFFERENT_REACTION]: "釣り合ってはいますが、求める反応とは異なります。",
+  [EQUATION_RESULT.INVALID]: "反応式を解釈できませんでした。",
+  [EQUATION_RESULT.UNANSWERED]: "未解答です。"
+};
+
+const tryParse = (text) => {
+  try {
+    return parseEquation(text);
+  } catch (e) {
+    return null;
+  }
+};
+
+// 反応式問題の解答欄 (係数入力 / 式入力) と採点結果
+export default function EquationAnswer({ question, value, onChange, isReview }) {
+  const expected = useMemo(() => parseEquation(question.equation), [question.equation]);
+  const grade = isReview ? gradeEquation(question, value) : null;
+  const isCorrect = grade?.status === EQUATION_RESULT.CORRECT;
+
+  const inputClass = `border-2 rounded-lg font-mono outline-none transition-colors
+    ${isReview
+      ? (isCorrect ? 'border-green-500 bg-green-50 text-green-900' : 'border-red-500 bg-red-50 text-red-900')
+      : 'border-slate-200 focus:border-blue-500'
+    }`;
+
+  const renderCoefficients = () => {
+    const coefficients = Array.isArray(value) ? value : [];
+    const species = [...expected.reactants, ...expected.products];
+    const setCoefficient = (i, c) => {
+      const next = species.map((_, j) => coefficients[j] ?? '');
+      next[i] = c;
+      onChange(next);
+    };
+
+    return (
+      <div className="flex flex-wrap items-center gap-2 text-lg">
+        {species.map((s, i) => (
+          <React.Fragment key={i}>
+            {i === expected.reactants.length && <LatexText text={'$\\to$'} />}
+            {i > 0 && i !== expected.reactants.length && <span className="text-slate-500">+</span>}
+            <span className="inline-flex items-center gap-1">
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="off"
+                value={coefficients[i] ?? ''}
+                onChange={(e) => setCoefficient(i, e.target.value)}
+                disabled={isReview}
+                className={`w-12 p-1.5 text-center ${inputClass}`}
+              />
+              <LatexText text={`$${formulaToLatex(s)}$`} />
+            </span>
+          </React.Fragment>
+        ))}
+      </div>
+    );
+  };
+
+  const renderEquationInput = () => {
+    const preview = !isReview && value ? tryParse(value) : null;
+    return (
+      <div className="space-y-2">
+        <input
+          type="text"
+          autoComplete="off"
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={isReview}
+          className={`w-full p-3 text-lg ${inputClass}`}
+          placeholder="例: 2H2 + O2 -> 2H2O"
+        />
+        {!isReview && (
+          <p className="text-xs text-slate-400">
+            矢印は -&gt; または →。2価以上のイオンは Fe^3+ のように ^ を付けて書きます。
+          </p>
+        )}
+        {preview && (
+          <div className="text-slate-600 bg-slate-50 p-2 rounded border border-slate-100">
+            <LatexText text={`$${equationToLatex(preview)}$`} />
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="py-4">
+      <label className="text-sm text-slate-500 block mb-2">
+        {question.inputMode === 'coefficients' ? '係数を入力 (1は省略可):' : '反応式を入力:'}
+      </label>
+      {question.inputMode === 'coefficients' ? renderCoefficients() : renderEquationInput()}
+
+      {isReview && !isCorrect && (
+        <div className="mt-3 space-y-1 text-sm text-red-600">
+          <p className="font-bold">{EQUATION_FEEDBACK[grade.status]}{grade.error && ` (${grade.error})`}</p>
+          {grade.parsed && question.inputMode === 'equation' && (
+            <p>あなたの解答: <LatexText text={`$${equationToLatex(grade.parsed)}$`} /></p>
+          )}
+          <p>正解: <LatexText text={`$${equationToLatex(expected)}$`} /></p>
+        </div>
+      )}
+    </div>
+  );
+}
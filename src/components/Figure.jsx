@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { X, ZoomIn } from 'lucide-react';
+import LatexText from './LatexText';
+
+// 拡大表示 (タップ / Esc で閉じる。スマートフォンではピンチで更に拡大できる)
+// 親要素の transform の影響を受けないよう body 直下に描画する
+const FigureZoom = ({ figure, onClose }) => {
+  useEffect(() => {
+    const handleKey = (e) => e.key === 'Escape' && onClose();
+    window.addEventListener('keydown', handleKey);
+    const overflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      window.removeEventListener('keydown', handleKey);
+      document.body.style.overflow = overflow;
+    };
+  }, [onClose]);
+
+  // ポータルでも React のイベントは親 (選択肢のクリックなど) へ伝わるので止める
+  const close = (e) => {
+    e.stopPropagation();
+    onClose();
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 z-50 bg-slate-900/90 flex flex-col items-center justify-center p-4 animate-in fade-in"
+      style={{ touchAction: 'pinch-zoom' }}
+      onClick={close}
+      role="dialog"
+      aria-modal="true"
+      aria-label={figure.alt}
+    >
+      <button onClick={close} className="absolute top-4 right-4 p-2 text-white/80 hover:text-white" aria-label="閉じる">
+        <X size={28} />
+      </button>
+      <img
+        src={figure.src.src}
+        alt={figure.alt}
+        className="max-w-full max-h-[80vh] object-contain bg-white rounded"
+      />
+      {figure.caption && (
+        <div className="mt-3 text-sm text-white/90 max-w-2xl text-center"><LatexText text={figure.caption} /></div>
+      )}
+    </div>,
+    document.body
+  );
+};
+
+// 問題・選択肢・解説に添える図。タップで拡大表示する
+export default function Figure({ figure, compact = false }) {
+  const [zoomed, setZoomed] = useState(false);
+
+  return (
+    <figure className={compact ? 'mt-2' : 'my-4'}>
+      <button
+        type="button"
+        onClick={(e) => { e.stopPropagation(); setZoomed(true); }}
+        className={`relative group block max-w-full cursor-zoom-in ${compact ? '' : 'mx-auto'}`}
+        aria-label={`${figure.alt} (拡大)`}
+      >
+        <img
+          src={figure.src.src}
+          width={figure.src.width}
+          height={figure.src.height}
+          alt={figure.alt}
+          loading="lazy"
+          className={`h-auto max-w-full rounded border border-slate-200 bg-white ${compact ? 'max-h-40' : 'max-h-80'} object-contain`}
+        />
+        <span className="absolute bottom-1 right-1 p-1 rounded bg-white/80 text-slate-500 opacity-70 group-hover:opacity-100">
+          <ZoomIn size={16} />
+        </span>
+      </button>
+      {figure.caption && (
+        <figcaption className={`mt-2 text-sm text-slate-500 ${compact ? '' : 'text-center'}`}><LatexText text={figure.caption} /></figcaption>
+      )}
+      {zoomed && <FigureZoom figure={figure} onClose={() => setZoomed(false)} />}
+    </figure>
+  );
+}
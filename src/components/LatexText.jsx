@@ -0,0 +1,107 @@
+import React, { useMemo } from 'react';
+import katex from 'katex';
+import 'katex/contrib/mhchem';
+import 'katex/dist/katex.min.css';
+import { parseMarkdown, isInlineOnly } from '../libs/markdown';
+
+const renderMath = (math, displayMode) => {
+  try {
+    return katex.renderToString(math, { throwOnError: false, displayMode });
+  } catch (e) {
+    console.error(e);
+    return null;
+  }
+};
+
+// インライン要素の描画。innerHTML を使うのは KaTeX の出力だけ
+const Inline = ({ nodes }) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'strong':
+      return <strong key={index} className="font-bold"><Inline nodes={node.children} /></strong>;
+    case 'em':
+      return <em key={index}><Inline nodes={node.children} /></em>;
+    case 'code':
+      return <code key={index} className="px-1 py-0.5 rounded bg-slate-100 text-[0.9em] font-mono">{node.text}</code>;
+    case 'math': {
+      const html = renderMath(node.tex, node.display);
+      if (html === null) return <span key={index}>{node.display ? `$$${node.tex}$$` : `$${node.tex}$`}</span>;
+      return (
+        <span
+          key={index}
+          className={node.display ? 'block my-2 overflow-x-auto overflow-y-hidden' : undefined}
+          dangerouslySetInnerHTML={{ __html: html }}
+        />
+      );
+    }
+    default:
+      return <React.Fragment key={index}>{node.text}</React.Fragment>;
+  }
+});
+
+// 段落内の改行はそのまま改行として表示する
+const Lines = ({ lines }) => lines.map((line, index) => (
+  <React.Fragment key={index}>
+    {index > 0 && <br />}
+    <Inline nodes={line} />
+  </React.Fragment>
+));
+
+const Block = ({ block }) => {
+  if (block.type === 'list') {
+    const ListTag = block.ordered ? 'ol' : 'ul';
+    return (
+      <ListTag start={block.ordered ? block.start : undefined} className={`pl-6 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+        {block.items.map((item, index) => <li key={index}><Inline nodes={item} /></li>)}
+      </ListTag>
+    );
+  }
+  if (block.type === 'table') {
+    const cellStyle = (c) => ({ textAlign: block.align[c] || undefined });
+    return (
+      <div className="overflow-x-auto">
+        <table className="text-[0.95em] border-collapse">
+          <thead>
+            <tr>
+              {block.header.map((cell, c) => (
+                <th key={c} style={cellStyle(c)} className="border border-slate-200 bg-slate-50 px-3 py-1.5 font-bold">
+                  <Inline nodes={cell} />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {block.rows.map((row, r) => (
+              <tr key={r}>
+                {row.map((cell, c) => (
+                  <td key={c} style={cellStyle(c)} className="border border-slate-200 px-3 py-1.5">
+                    <Inline nodes={cell} />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+  return <p><Lines lines={block.lines} /></p>;
+};
+
+/**
+ * 数式 ($...$ / $$...$$、\ce{...} は mhchem) と Markdown の一部 (src/libs/markdown.js) を描画する
+ * KaTeX はビルドに同梱し、同期的に描画する。
+ * 1段落だけのテキストは <span> の中にインラインで描画する (選択肢やボタンの中でも使えるように)
+ */
+export default function LatexText({ text }) {
+  const blocks = useMemo(() => text ? parseMarkdown(text) : [], [text]);
+  if (!text) return null;
+
+  if (isInlineOnly(blocks)) {
+    return <span>{blocks.length > 0 && <Lines lines={blocks[0].lines} />}</span>;
+  }
+  return (
+    <div className="space-y-3">
+      {blocks.map((block, index) => <Block key={index} block={block} />)}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useMemo, useState } from 'react';
+import { X } from 'lucide-react';
+import LatexText from './LatexText';
+import { displayOrder } from '../libs/random';
+
+const LEFT_LABELS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// 組み合わせ問題: 左の項目をタップしてから右の項目をタップして対応づける
+export default function MatchingAnswer({ question, value, onChange, isReview }) {
+  const pairs = Array.isArray(value) ? value : [];
+  const [activeLeft, setActiveLeft] = useState(null);
+
+  // 右列は問題IDをシードにして並べ替える (正解の並びが作成順から推測されないように)
+  const rightOrder = useMemo(
+    () => displayOrder(question.right.length, question.id),
+    [question.id, question.right.length]
+  );
+  const rightLabel = (r) => String(rightOrder.indexOf(r) + 1);
+
+  const setPair = (leftIdx, rightIdx) => {
+    const next = question.left.map((_, i) => pairs[i] ?? null);
+    next[leftIdx] = rightIdx;
+    onChange(next);
+    return next;
+  };
+
+  const handleLeft = (i) => {
+    if (isReview) return;
+    setActiveLeft(activeLeft === i ? null : i);
+  };
+
+  const handleRight = (r) => {
+    if (isReview || activeLeft === null) return;
+    const next = setPair(activeLeft, r);
+    // 未回答の次の項目へ進む
+    const nextEmpty = next.findIndex((p, i) => p === null && i !== activeLeft);
+    setActiveLeft(nextEmpty >= 0 ? nextEmpty : null);
+  };
+
+  return (
+    <div className="py-4">
+      <p className="text-xs text-slate-400 font-bold mb-3 tracking-wide">
+        {isReview ? '組み合わせ' : '左の項目を選んでから、対応する右の項目を選択'}
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          {question.left.map((item, i) => {
+            const paired = pairs[i] ?? null;
+            const isCorrect = paired === question.pairs[i];
+            let cardStyle = "border-slate-100 hover:border-blue-300 bg-white";
+            if (isReview) cardStyle = isCorrect ? "border-green-500 bg-green-50" : "border-red-400 bg-red-50";
+            else if (activeLeft === i) cardStyle = "border-blue-500 bg-blue-50 shadow-sm ring-1 ring-blue-100";
+
+            return (
+              <div key={i}
+                onClick={() => handleLeft(i)}
+                className={`flex items-center gap-3 p-3 min-h-12 rounded-lg border-2 transition-all ${isReview ? 'cursor-default' : 'cursor-pointer'} ${cardStyle}`}
+              >
+                <span className="w-6 h-6 rounded bg-slate-700 text-white text-xs font-bold flex items-center justify-center flex-shrink-0">{LEFT_LABELS[i]}</span>
+                <span className="flex-1 text-slate-700"><LatexText text={item} /></span>
+                {paired !== null && (
+                  <span className={`flex items-center gap-1 text-sm font-bold px-2 py-0.5 rounded-full
+                    ${isReview ? (isCorrect ? 'bg-green-500 text-white' : 'bg-red-500 text-white') : 'bg-blue-600 text-white'}`}>
+                    → {rightLabel(paired)}
+                    {!isReview && (
+                      <button onClick={(e) => { e.stopPropagation(); setPair(i, null); }} className="hover:text-blue-100">
+                        <X size={14} />
+                      </button>
+                    )}
+                  </span>
+                )}
+                {isReview && !isCorrect && (
+                  <span className="text-xs font-bold text-green-700 flex-shrink-0">正解: {rightLabel(question.pairs[i])}</span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="space-y-2">
+          {rightOrder.map(r => {
+            const pairedBy = question.left.map((_, i) => i).filter(i => pairs[i] === r);
+            return (
+              <div key={r}
+                onClick={() => handleRight(r)}
+                className={`flex items-center gap-3 p-3 min-h-12 rounded-lg border-2 transition-all bg-white
+                  ${!isReview && activeLeft !== null ? 'cursor-pointer border-dashed border-blue-300 hover:bg-blue-50' : 'border-slate-100'}
+                  ${isReview ? 'cursor-default' : ''}`}
+              >
+                <span className="w-6 h-6 rounded-full border-2 border-slate-400 text-slate-600 text-xs font-bold flex items-center justify-center flex-shrink-0">{rightLabel(r)}</span>
+                <span className="flex-1 text-slate-700"><LatexText text={question.right[r]} /></span>
+                {pairedBy.length > 0 && (
+                  <span className="text-xs text-slate-400 font-bold">{pairedBy.map(i => LEFT_LABELS[i]).join(', ')}</span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
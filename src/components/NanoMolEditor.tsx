@@ -1,7 +1,7 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { Eraser, Trash2, Undo, Redo, Share2, Atom, MousePointer2, Move, Lock } from 'lucide-react';
-import initRDKit from "../libs/RDKit_minimal";
-import type { RDKitModule } from '@rdkit/rdkit';
+import { loadRDKit, toCanonicalSmiles } from "../libs/rdkit";
+import { generateSmiles } from "../libs/smiles";
 
 /**
  * NanoMolEditor
@@ -13,12 +13,6 @@ import type { RDKitModule } from '@rdkit/rdkit';
 
 // --- Constants & Types ---
 
-declare global {
-    interface Window {
-        RDKit: RDKitModule
-    }
-}
-
 const BOND_SNAP_DIST = 20; // Distance to snap to existing atoms
 const ELEMENT_COLORS = {
   C: '#2d3748', // Dark Gray
@@ -151,56 +145,6 @@ const getAtomLabel = (atom: AtomData, bonds: BondData[]) => {
   return label + labelH;
 };
 
-// SMILES Generator (Simplified)
-export const generateSmiles = (atoms: AtomData[], bonds: BondData[]): string => {
-  if (atoms.length === 0) return '';
-
-  const adj: Record<string, { neighborId: string; bondType: number }[]> = {};
-  atoms.forEach(a => (adj[a.id] = []));
-  bonds.forEach(b => {
-    adj[b.source]?.push({ neighborId: b.target, bondType: b.type });
-    adj[b.target]?.push({ neighborId: b.source, bondType: b.type });
-  });
-
-  const visited = new Set<string>();
-  const rings: Record<string, number> = {};
-  let ringCounter = 1;
-  let smilesParts: string[] = [];
-
-  const dfs = (currentId: string, parentId: string | null): string => {
-    visited.add(currentId);
-    const atom = atoms.find(a => a.id === currentId);
-    if (!atom) return '';
-    let str = atom.element as string;
-    const neighbors = adj[currentId] || [];
-    const branches: string[] = [];
-    
-    for (const edge of neighbors) {
-      if (edge.neighborId === parentId) continue;
-      const bondSymbol = edge.bondType === 3 ? '#' : edge.bondType === 2 ? '=' : '';
-      if (visited.has(edge.neighborId)) {
-        if (!rings[edge.neighborId]) rings[edge.neighborId] = ringCounter++;
-        str += `${bondSymbol}${rings[edge.neighborId]}`;
-      } else {
-        branches.push(`${bondSymbol}${dfs(edge.neighborId, currentId)}`);
-      }
-    }
-    if (branches.length > 0) {
-      const last = branches.pop();
-      str += branches.map(b => `(${b})`).join('') + last;
-    }
-    return str;
-  };
-
-  atoms.forEach(atom => {
-    if (!visited.has(atom.id)) {
-      smilesParts.push(dfs(atom.id, null));
-    }
-  });
-
-  return /*window.RDKit?.get_mol(smilesParts.join('.'))?.get_smiles()??*/smilesParts.join('.');
-};
-
 // --- Component ---
 
 export default function NanoMolEditor({ value, onChange, isReadOnly = false }: NanoMolEditorProps) {
@@ -230,7 +174,7 @@ export default function NanoMolEditor({ value, onChange, isReadOnly = false }: N
   const [isPanning, setIsPanning] = useState(false);
   const [panStart, setPanStart] = useState<{ x: number; y: number } | null>(null); // Screen coords
 
-  const [LoadingRDKit, setLoadingRDKit] = useState(false);
+  const [RDKitReady, setRDKitReady] = useState(false);
 
   const svgRef = useRef<SVGSVGElement>(null);
 
@@ -263,24 +207,13 @@ export default function NanoMolEditor({ value, onChange, isReadOnly = false }: N
         }
       }
     }
-
-    // if(!window.RDKit&&!LoadingRDKit){
-    //   setLoadingRDKit(true);
-    //   initRDKit({locateFile:()=>'./libs/RDKit_minimal.wasm'}).then(
-    //     ((RDKit:RDKitModule) =>{
-    //       setLoadingRDKit(false);
-    //       console.log("RDKit version: " + RDKit.version());
-    //       window.RDKit=RDKit;
-    //       return RDKit;
-    //     }
-    //   ) as any).catch(
-    //     (r)=>{
-    //       console.error(r);
-    //     }
-    //   );
-    // }
   }, [value]); // Depend on value
 
+  // --- RDKit (for canonical SMILES display) ---
+  useEffect(() => {
+    loadRDKit().then(() => setRDKitReady(true)).catch(e => console.error(e));
+  }, []);
+
   // --- State Change Notification ---
   const notifyChange = (overrides: Partial<EditorState> = {}) => {
     if (onChange) {
@@ -614,8 +547,8 @@ export default function NanoMolEditor({ value, onChange, isReadOnly = false }: N
   // Update SMILES
   useEffect(() => {
     const s = generateSmiles(atoms, bonds);
-    setGeneratedSmiles(s);
-  }, [atoms, bonds]);
+    setGeneratedSmiles((RDKitReady && toCanonicalSmiles(s)) || s);
+  }, [atoms, bonds, RDKitReady]);
 
   // --- Bond Rendering Logic (Advanced) ---
 
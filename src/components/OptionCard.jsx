@@ -0,0 +1,74 @@
+import React from 'react';
+import { CheckCircle2, Flag } from 'lucide-react';
+import LatexText from './LatexText';
+import Figure from './Figure';
+
+/**
+ * 選択問題の選択肢カード (演習画面と問題作成ページのプレビューで共通)
+ * onToggleFlag を省略するとフラグのボタンを出さない
+ */
+export default function OptionCard({ option, selected, flagged = false, isAnswer, isReview, showExplanation, onSelect, onToggleFlag }) {
+  // 振り返り: フラグを付けた選択肢の判断 (選ぶ/選ばない) が正しかったか
+  const isFlagJudgedRight = selected === isAnswer;
+
+  let cardStyle = "border-slate-100 hover:border-blue-300 bg-white";
+  if (isReview) {
+    if (isAnswer) cardStyle = "border-green-500 bg-green-50";
+    else if (selected) cardStyle = "border-red-400 bg-red-50";
+    else cardStyle = "opacity-70 border-slate-100";
+  } else {
+    if (selected) cardStyle = "border-blue-500 bg-blue-50 shadow-sm ring-1 ring-blue-100";
+  }
+
+  return (
+    <div className="flex flex-col gap-1">
+      <div className={`relative flex items-stretch rounded-lg border-2 transition-all ${cardStyle}`}>
+        <div
+          className={`flex-1 p-4 cursor-pointer flex items-start gap-3 ${isReview ? 'cursor-default' : ''}`}
+          onClick={() => !isReview && onSelect()}
+        >
+          <div className={`w-6 h-6 rounded border flex items-center justify-center flex-shrink-0 mt-0.5 transition-colors
+            ${selected
+              ? (isReview ? (isAnswer ? 'bg-green-500 border-green-500 text-white' : 'bg-red-500 border-red-500 text-white') : 'bg-blue-600 border-blue-600 text-white')
+              : (isReview && isAnswer ? 'border-green-500 text-green-600' : 'border-slate-300')
+            }
+          `}>
+            {selected && <CheckCircle2 size={16} />}
+            {isReview && !selected && isAnswer && <div className="w-2 h-2 rounded-full bg-green-500"/>}
+          </div>
+          <div className={`flex-1 text-slate-700 ${isReview && isAnswer ? 'font-bold text-green-900' : ''}`}>
+            <LatexText text={option.text} />
+            {option.figure && <Figure figure={option.figure} compact />}
+          </div>
+        </div>
+
+        {!isReview && onToggleFlag && (
+          <button
+            onClick={(e) => { e.stopPropagation(); onToggleFlag(); }}
+            className={`px-3 border-l hover:bg-slate-50 flex items-center justify-center transition-colors rounded-r-lg
+              ${flagged ? 'text-orange-500 bg-orange-50 border-orange-200' : 'text-slate-300 border-slate-100'}
+            `}
+          >
+            <Flag size={18} fill={flagged ? "currentColor" : "none"} />
+          </button>
+        )}
+        {isReview && flagged && (
+          <div className={`px-3 border-l flex flex-col items-center justify-center gap-0.5 rounded-r-lg text-[10px] font-bold whitespace-nowrap
+            ${isFlagJudgedRight ? 'text-green-700 bg-green-100/60 border-green-200' : 'text-red-700 bg-red-100/60 border-red-200'}
+          `} title="解答中にフラグを付けた選択肢">
+            <Flag size={16} fill="currentColor" className="text-orange-500" />
+            {isFlagJudgedRight ? '迷ったが正解' : '迷って不正解'}
+          </div>
+        )}
+      </div>
+
+      {/* 選択肢ごとの解説 (Review Mode Only) */}
+      {showExplanation && option.explanation && (
+        <div className="ml-10 text-sm text-slate-600 bg-slate-50 p-2 rounded border border-slate-100 mb-2 animate-in fade-in">
+           <span className="font-bold text-slate-400 mr-2">解説:</span>
+           <LatexText text={option.explanation} />
+        </div>
+      )}
+    </div>
+  );
+}
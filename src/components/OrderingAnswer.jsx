@@ -0,0 +1,88 @@
+import React, { useMemo } from 'react';
+import { RotateCcw, X } from 'lucide-react';
+import LatexText from './LatexText';
+import { displayOrder } from '../libs/random';
+
+// 並べ替え問題: 下の候補をタップした順に並べる (並べた項目をタップすると戻せる)
+export default function OrderingAnswer({ question, value, onChange, isReview }) {
+  const placed = Array.isArray(value) ? value : [];
+
+  // 候補は問題IDをシードにして並べ替える (正解の並びのまま表示しない)
+  const poolOrder = useMemo(
+    () => displayOrder(question.items.length, question.id),
+    [question.id, question.items.length]
+  );
+  const remaining = poolOrder.filter(i => !placed.includes(i));
+
+  const place = (i) => !isReview && onChange([...placed, i]);
+  const remove = (i) => !isReview && onChange(placed.filter(p => p !== i));
+
+  return (
+    <div className="py-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-slate-400 font-bold tracking-wide">
+          {isReview ? '並べた順' : '候補をタップして正しい順に並べる'}
+        </p>
+        {!isReview && placed.length > 0 && (
+          <button onClick={() => onChange([])} className="flex items-center gap-1 text-xs text-slate-400 hover:text-red-600">
+            <RotateCcw size={14} /> やり直す
+          </button>
+        )}
+      </div>
+
+      {/* 並べた順 */}
+      <ol className="space-y-2">
+        {placed.map((itemIdx, pos) => {
+          const isCorrect = itemIdx === pos;
+          let cardStyle = "border-blue-500 bg-blue-50";
+          if (isReview) cardStyle = isCorrect ? "border-green-500 bg-green-50" : "border-red-400 bg-red-50";
+          return (
+            <li key={itemIdx}
+              onClick={() => remove(itemIdx)}
+              className={`flex items-center gap-3 p-3 min-h-12 rounded-lg border-2 transition-all ${isReview ? 'cursor-default' : 'cursor-pointer'} ${cardStyle}`}
+            >
+              <span className={`w-6 h-6 rounded-full text-xs font-bold flex items-center justify-center flex-shrink-0
+                ${isReview ? (isCorrect ? 'bg-green-500 text-white' : 'bg-red-500 text-white') : 'bg-blue-600 text-white'}`}>{pos + 1}</span>
+              <span className="flex-1 text-slate-700"><LatexText text={question.items[itemIdx]} /></span>
+              {!isReview && <X size={16} className="text-slate-400" />}
+              {isReview && !isCorrect && (
+                <span className="text-xs font-bold text-red-600 flex-shrink-0">正しくは {itemIdx + 1} 番目</span>
+              )}
+            </li>
+          );
+        })}
+        {placed.length === 0 && !isReview && (
+          <li className="p-3 min-h-12 rounded-lg border-2 border-dashed border-slate-200 text-sm text-slate-400 flex items-center">
+            下の候補をタップして並べてください
+          </li>
+        )}
+      </ol>
+
+      {/* 候補 */}
+      {!isReview && remaining.length > 0 && (
+        <div className="flex flex-wrap gap-2 pt-2 border-t border-slate-100">
+          {remaining.map(i => (
+            <button key={i}
+              onClick={() => place(i)}
+              className="px-3 py-2 min-h-11 rounded-lg border-2 border-slate-200 bg-white hover:border-blue-300 text-slate-700 transition-all"
+            >
+              <LatexText text={question.items[i]} />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {isReview && (
+        <div className="text-sm text-slate-600 bg-slate-50 p-3 rounded border border-slate-100">
+          <span className="font-bold text-slate-400 mr-2">正しい順:</span>
+          {question.items.map((item, i) => (
+            <span key={i}>
+              {i > 0 && <span className="mx-1 text-slate-400">→</span>}
+              <LatexText text={item} />
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useMemo, useState } from 'react';
+import { BarChart3, ChevronDown, ChevronRight, AlertCircle, Trash2, Flag, History, CheckCircle2, XCircle } from 'lucide-react';
+import LatexText from './LatexText';
+import { summarizeHistory, summarizeCalibration, listRecentAttempts } from '../libs/history';
+import { formatVariant } from '../libs/numericTemplate';
+import { formatScore } from '../libs/grading';
+import { formatDuration } from '../libs/timing';
+
+export const formatPercent = (accuracy) => accuracy === null ? '—' : `${Math.round(accuracy * 100)}%`;
+
+const barColor = (accuracy) => {
+  if (accuracy === null) return 'bg-slate-200';
+  if (accuracy >= 0.8) return 'bg-green-500';
+  if (accuracy >= 0.5) return 'bg-yellow-400';
+  return 'bg-red-400';
+};
+
+export const AccuracyBar = ({ accuracy }) => (
+  <div className="h-2 w-full bg-slate-100 rounded-full overflow-hidden">
+    <div className={`h-full rounded-full transition-all ${barColor(accuracy)}`} style={{ width: `${(accuracy ?? 0) * 100}%` }} />
+  </div>
+);
+
+// フラグを付けた判断の的中率に応じたひとこと
+const calibrationComment = (accuracy) => {
+  if (accuracy === null) return null;
+  if (accuracy >= 0.8) return '迷った選択肢もほとんど正しく判断できています。もう少し自信を持って大丈夫です。';
+  if (accuracy <= 0.5) return '迷った選択肢の判断は当て推量に近い状態です。該当する分野を復習しましょう。';
+  return null;
+};
+
+const CalibrationStat = ({ label, stat }) => (
+  <div className="space-y-1">
+    <div className="flex justify-between text-xs text-slate-500">
+      <span>{label}</span>
+      <span>{formatPercent(stat.accuracy)} ({stat.correct}/{stat.total})</span>
+    </div>
+    <AccuracyBar accuracy={stat.accuracy} />
+  </div>
+);
+
+// 学習履歴ダッシュボード (スタート画面)
+export default function ProgressDashboard({ history, categories, questionIndex, onClear }) {
+  const [expanded, setExpanded] = useState(false);
+  const summary = useMemo(
+    () => summarizeHistory(history, categories, questionIndex),
+    [history, categories, questionIndex]
+  );
+  const calibration = useMemo(() => summarizeCalibration(history), [history]);
+  const recent = useMemo(() => listRecentAttempts(history, questionIndex), [history, questionIndex]);
+  const subName = (meta) => categories.find(c => c.id === meta.cat)?.subcategories.find(s => s.id === meta.sub)?.name;
+
+  if (summary.total === 0) return null;
+
+  return (
+    <div className="mb-8 bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+      <div
+        className="p-4 flex items-center justify-between cursor-pointer hover:bg-slate-50 transition-colors"
+        onClick={() => setExpanded(!expanded)}
+      >
+        <div className="flex items-center gap-2 text-slate-700 font-bold">
+          <BarChart3 size={20} /> 学習状況
+        </div>
+        <div className="flex items-center gap-3 text-sm text-slate-500">
+          <span>{summary.total}回解答 / 正答率 <span className="font-bold text-slate-700">{formatPercent(summary.correct / summary.total)}</span></span>
+          {expanded ? <ChevronDown size={16} className="text-slate-400"/> : <ChevronRight size={16} className="text-slate-400"/>}
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="border-t border-slate-100 p-4 space-y-6 animate-in fade-in">
+          {summary.weakest.length > 0 && (
+            <div>
+              <div className="flex items-center gap-2 mb-2 text-sm font-bold text-red-600">
+                <AlertCircle size={16} /> 苦手な分野
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {summary.weakest.map(sub => (
+                  <span key={sub.id} className="text-xs bg-red-50 text-red-700 border border-red-100 px-2 py-1 rounded-full">
+                    {sub.categoryName} / {sub.name} ({formatPercent(sub.accuracy)})
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {calibration.flaggedOptions.total > 0 && (
+            <div>
+              <div className="flex items-center gap-2 mb-2 text-sm font-bold text-orange-600">
+                <Flag size={16} /> 自信度の較正
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <CalibrationStat label="フラグを付けた選択肢の判断" stat={calibration.flaggedOptions} />
+                <CalibrationStat label="フラグを付けた問題の正答率" stat={calibration.flaggedQuestions} />
+                <CalibrationStat label="フラグなしの問題の正答率" stat={calibration.confidentQuestions} />
+              </div>
+              {calibrationComment(calibration.flaggedOptions.accuracy) && (
+                <p className="text-xs text-slate-500 mt-2">{calibrationComment(calibration.flaggedOptions.accuracy)}</p>
+              )}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {summary.categories.map(cat => (
+              <div key={cat.id} className="space-y-2">
+                <div className="flex justify-between items-baseline">
+                  <span className="font-bold text-slate-700">{cat.name}</span>
+                  <span className="text-xs text-slate-500">{formatPercent(cat.accuracy)} ({cat.correct}/{cat.total})</span>
+                </div>
+                <AccuracyBar accuracy={cat.accuracy} />
+                <div className="pl-2 space-y-1.5 pt-1">
+                  {cat.subcategories.map(sub => (
+                    <div key={sub.id}>
+                      <div className="flex justify-between text-xs text-slate-500">
+                        <span>{sub.name}</span>
+                        <span>{sub.total > 0 ? `${formatPercent(sub.accuracy)} (${sub.correct}/${sub.total})` : '未解答'}</span>
+                      </div>
+                      <AccuracyBar accuracy={sub.accuracy} />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <div className="flex items-center gap-2 mb-2 text-sm font-bold text-slate-600">
+              <History size={16} /> 最近の解答
+            </div>
+            <ul className="divide-y divide-slate-100 border border-slate-100 rounded-lg text-xs">
+              {recent.map((attempt, i) => (
+                <li key={i} className="px-3 py-2 flex flex-wrap items-center gap-x-3 gap-y-1">
+                  {attempt.correct
+                    ? <CheckCircle2 size={14} className="text-green-600" />
+                    : <XCircle size={14} className="text-red-500" />}
+                  <span className="font-bold text-slate-600">Q{attempt.questionId}</span>
+                  <span className="text-slate-500">{subName(attempt.meta)}</span>
+                  {!attempt.correct && attempt.score > 0 && <span className="text-slate-500">部分正解 ({formatScore(attempt.score)}点)</span>}
+                  {/* テンプレート問題は出題された値 */}
+                  {attempt.variant && <span className="text-slate-600"><LatexText text={formatVariant(attempt.variant)} /></span>}
+                  <span className="ml-auto text-slate-400">
+                    {new Date(attempt.timestamp).toLocaleString('ja-JP')}
+                    {attempt.timeSpent > 0 && ` ・${formatDuration(attempt.timeSpent)}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div className="flex justify-end">
+            <button onClick={onClear} className="flex items-center gap-1 text-xs text-slate-400 hover:text-red-600">
+              <Trash2 size={14} /> 履歴を消去
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Beaker, Copy, Check, Download, Upload, FilePlus, Eye, PenTool, AlertCircle } from 'lucide-react';
+import QuestionForm from './QuestionForm';
+import QuestionPreview from './QuestionPreview';
+import {
+  createDraft, formatEntryJson, parseEntryJson, validateDraft, isAnswerFieldError,
+  saveDraft, loadDraft, suggestId
+} from '../libs/questionDraft';
+import { isTemplate, generateVariables, instantiateQuestion } from '../libs/numericTemplate';
+import { createRandom, randomSeed } from '../libs/random';
+
+// 問題バンクにある図 (./figures/xxx.svg → バンドル後の URL)。プレビューで既存の図を表示するのに使う
+const BUNDLED_FIGURES = Object.fromEntries(
+  Object.entries(import.meta.glob('../content/questions/figures/*', { eager: true, query: '?url', import: 'default' }))
+    .map(([path, url]) => [`./figures/${path.split('/').pop()}`, url])
+);
+
+/**
+ * 問題作成ページ (/author)
+ * 左: 入力フォーム、右: 演習画面と同じ描画のプレビューと書き出す JSON
+ * 書き出した JSON を src/content/questions/<id>.json として保存すれば問題バンクに追加される。
+ */
+export default function QuestionAuthor({ categories, questionIndex }) {
+  const [id, setId] = useState('');
+  const [draft, setDraft] = useState(() => createDraft('selection'));
+  const [loaded, setLoaded] = useState(false);
+  const [isReview, setIsReview] = useState(false);
+  const [variantSeed, setVariantSeed] = useState(1);
+  // 「画像を選択」で読み込んだ図 (src → object URL)
+  const [figureFiles, setFigureFiles] = useState({});
+  const [importText, setImportText] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  // 保存した下書きを復元する (SSR と食い違わないようにマウント後に読む)
+  useEffect(() => {
+    const saved = loadDraft();
+    if (saved) {
+      setId(saved.id);
+      setDraft(saved.draft);
+    }
+    setVariantSeed(randomSeed());
+    setLoaded(true);
+  }, []);
+
+  useEffect(() => {
+    if (loaded) saveDraft(id, draft);
+  }, [loaded, id, draft]);
+
+  const errors = useMemo(() => validateDraft(draft, categories), [draft, categories]);
+  const knownTags = useMemo(() => [...new Set(questionIndex.flatMap(q => q.tags))].sort((a, b) => a.localeCompare(b, 'ja')), [questionIndex]);
+  const answerReady = !errors.some(isAnswerFieldError);
+  const json = useMemo(() => formatEntryJson(draft), [draft]);
+  const numericId = Number(id);
+  const idError = !id ? 'ID を入力してください'
+    : !Number.isInteger(numericId) || numericId <= 0 ? 'ID は正の整数にしてください'
+    : questionIndex.some(q => q.id === numericId) ? `問題 ${numericId} は既にあります (書き出したファイルで上書きされます)`
+    : null;
+
+  // プレビュー用の問題 (図の URL を解決し、テンプレートなら値を入れる)
+  const { previewQuestion, missingFigures } = useMemo(() => {
+    const missing = [];
+    const resolve = (figure) => {
+      const url = figureFiles[figure.src] || BUNDLED_FIGURES[figure.src];
+      if (!url) missing.push(figure.src || '(未指定)');
+      return url ? { ...figure, src: { src: url } } : null;
+    };
+    const question = {
+      ...draft,
+      id: numericId || 0,
+      figures: draft.figures.map(resolve).filter(Boolean),
+      explanationFigures: draft.explanationFigures.map(resolve).filter(Boolean),
+      ...(draft.type === 'selection' && {
+        options: draft.options.map(({ figure, ...option }) => ({ ...option, ...(figure && { figure: resolve(figure) || undefined }) }))
+      })
+    };
+    return {
+      previewQuestion: isTemplate(question) && answerReady
+        ? instantiateQuestion(question, generateVariables(question, createRandom(variantSeed)))
+        : question,
+      missingFigures: missing
+    };
+  }, [draft, numericId, figureFiles, variantSeed, answerReady]);
+
+  const handleFigureFile = (src, file) => {
+    setFigureFiles(files => ({ ...files, [src]: URL.createObjectURL(file) }));
+  };
+
+  const applyImport = (text, fileName) => {
+    try {
+      const imported = parseEntryJson(text);
+      setDraft(imported);
+      const match = fileName && fileName.match(/^(\d+)\.json$/);
+      if (match) setId(match[1]);
+      setImportText(null);
+      setImportError(null);
+      setIsReview(false);
+    } catch (e) {
+      setImportError(e.message);
+    }
+  };
+
+  const importFile = async (file) => {
+    if (file) applyImport(await file.text(), file.name);
+  };
+
+  const copyJson = async () => {
+    try {
+      await navigator.clipboard.writeText(json);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (e) {
+      console.error(e);
+      prompt("この JSON をコピーしてください", json);
+    }
+  };
+
+  const downloadJson = () => {
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${id || 'question'}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const startNew = () => {
+    if (!confirm("入力中の問題を破棄して新しく作成しますか？")) return;
+    setDraft(createDraft(draft.type, { cat: draft.cat, sub: draft.sub }));
+    setId(draft.cat ? String(suggestId(questionIndex, draft.cat)) : '');
+    setIsReview(false);
+  };
+
+  const handleDraftChange = (next) => {
+    // カテゴリを選んだ時点で ID が空なら候補を入れる
+    if (!id && next.cat && next.cat !== draft.cat) setId(String(suggestId(questionIndex, next.cat)));
+    setDraft(next);
+  };
+
+  const buttonClass = 'flex items-center gap-1.5 px-3 py-2 text-sm font-bold rounded-lg border-2 border-slate-200 text-slate-600 hover:bg-slate-50';
+
+  return (
+    <div className="min-h-screen bg-slate-50 text-slate-900 font-sans pb-24">
+      <header className="bg-white border-b border-slate-200 sticky top-0 z-20 shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 h-16 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <div className="bg-blue-600 p-1.5 rounded text-white"><Beaker size={20} /></div>
+            <h1 className="font-bold text-lg tracking-tight text-slate-800">問題作成</h1>
+          </div>
+          <div className="flex items-center gap-2">
+            <button onClick={startNew} className={buttonClass}><FilePlus size={16} /> 新規</button>
+            <label className={`${buttonClass} cursor-pointer`}>
+              <Upload size={16} /> 読み込み
+              <input type="file" accept=".json,application/json" className="hidden" onChange={(e) => { importFile(e.target.files?.[0]); e.target.value = ''; }} />
+            </label>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 py-6 grid grid-cols-1 lg:grid-cols-2 gap-6 items-start">
+        <div className="space-y-4">
+          <div className="bg-white border border-slate-200 rounded-xl p-4 shadow-sm">
+            <div className="flex items-center gap-2">
+              <span className="text-sm text-slate-500">問題ID</span>
+              <input
+                type="text"
+                inputMode="numeric"
+                value={id}
+                onChange={(e) => setId(e.target.value.trim())}
+                className="w-24 p-2 border-2 border-slate-200 rounded-lg font-mono outline-none focus:border-blue-500"
+              />
+              <span className="text-xs text-slate-400 font-mono">src/content/questions/{id || '<id>'}.json</span>
+            </div>
+            {idError && <p className="text-xs text-orange-600 mt-1">{idError}</p>}
+          </div>
+          <QuestionForm
+            draft={draft}
+            onChange={handleDraftChange}
+            categories={categories}
+            knownTags={knownTags}
+            errors={errors}
+            onFigureFile={handleFigureFile}
+          />
+        </div>
+
+        <div className="space-y-4 lg:sticky lg:top-20">
+          <div className="flex items-center justify-between">
+            <div className="inline-flex bg-slate-100 p-1 rounded-lg gap-1">
+              {[{ k: false, l: '解答画面', icon: PenTool }, { k: true, l: '採点後 (解説)', icon: Eye }].map(opt => (
+                <button key={String(opt.k)} onClick={() => setIsReview(opt.k)}
+                  className={`flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-md transition-all ${isReview === opt.k ? 'bg-white shadow text-blue-700 font-bold' : 'text-slate-500 hover:bg-slate-200'}`}>
+                  <opt.icon size={14} /> {opt.l}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <QuestionPreview
+            key={draft.type}
+            question={previewQuestion}
+            categoryName={categories.find(c => c.id === draft.cat)?.name}
+            isReview={isReview}
+            answerReady={answerReady}
+            onRegenerate={() => setVariantSeed(randomSeed())}
+          />
+          {missingFigures.length > 0 && (
+            <p className="text-xs text-slate-500">
+              プレビューできない図: <span className="font-mono">{missingFigures.join(', ')}</span>
+              (「画像を選択」で読み込むと表示されます。ファイルは src/content/questions/figures/ に置いてください)
+            </p>
+          )}
+
+          <div className="bg-white border border-slate-200 rounded-xl p-4 shadow-sm space-y-3">
+            <div className="flex items-center justify-between">
+              <h2 className="text-xs font-bold text-slate-400">書き出す JSON</h2>
+              <div className="flex items-center gap-2">
+                <button onClick={() => setImportText(importText === null ? '' : null)} className={buttonClass}>貼り付けて読み込み</button>
+                <button onClick={copyJson} className={buttonClass}>
+                  {copied ? <><Check size={16} className="text-green-600" /> コピーしました</> : <><Copy size={16} /> コピー</>}
+                </button>
+                <button onClick={downloadJson} className="flex items-center gap-1.5 px-3 py-2 text-sm font-bold rounded-lg bg-blue-600 hover:bg-blue-700 text-white">
+                  <Download size={16} /> {id || 'question'}.json
+                </button>
+              </div>
+            </div>
+
+            {importText !== null && (
+              <div className="space-y-2">
+                <textarea
+                  value={importText}
+                  onChange={(e) => setImportText(e.target.value)}
+                  rows={8}
+                  placeholder="問題ファイルの JSON を貼り付け"
+                  className="w-full p-2 border-2 border-slate-200 rounded-lg font-mono text-xs outline-none focus:border-blue-500"
+                />
+                <button onClick={() => applyImport(importText)} className={buttonClass}><Upload size={16} /> 読み込む</button>
+              </div>
+            )}
+            {importError && <p className="text-sm text-red-600">{importError}</p>}
+
+            {errors.length > 0 && (
+              <div className="flex items-start gap-2 bg-orange-50 border border-orange-200 text-orange-800 text-sm p-3 rounded-lg">
+                <AlertCircle size={18} className="flex-shrink-0 mt-0.5" />
+                <div>
+                  <p className="font-bold">このままではビルドでエラーになります ({errors.length} 件)</p>
+                  <ul className="list-disc pl-5 text-xs mt-1 space-y-0.5">
+                    {errors.map((e, i) => <li key={i}><span className="font-mono">{e.path}</span>: {e.message}</li>)}
+                  </ul>
+                </div>
+              </div>
+            )}
+
+            <pre className="text-xs font-mono bg-slate-50 border border-slate-100 rounded-lg p-3 overflow-auto max-h-96 whitespace-pre">{json}</pre>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
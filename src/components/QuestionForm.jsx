@@ -0,0 +1,663 @@
+import React, { useEffect, useState } from 'react';
+import { Plus, Trash2, ArrowUp, ArrowDown, ImagePlus, Check, X } from 'lucide-react';
+import NanoMolEditor from './NanoMolEditor';
+import { generateSmiles } from '../libs/smiles';
+import { QUESTION_TYPES, changeType } from '../libs/questionDraft';
+import { loadRDKit, toCanonicalSmiles } from '../libs/rdkit';
+
+const inputClass = 'w-full p-2 border-2 border-slate-200 rounded-lg outline-none focus:border-blue-500 bg-white';
+const monoInputClass = `${inputClass} font-mono text-sm`;
+const smallButtonClass = 'p-1.5 text-slate-400 hover:text-slate-700 hover:bg-slate-100 rounded disabled:opacity-30';
+
+const SCORING_OPTIONS = {
+  selection: [
+    { value: 'all_or_nothing', label: '完全一致のみ' },
+    { value: 'per_option', label: '選択肢ごとの正誤の判断で部分点' },
+    { value: 'penalty', label: '誤った選択は減点' }
+  ],
+  matching: [
+    { value: 'all_or_nothing', label: '完全一致のみ' },
+    { value: 'per_option', label: '正しい組ごとに部分点' }
+  ]
+};
+
+const Section = ({ title, children }) => (
+  <section className="bg-white border border-slate-200 rounded-xl p-4 shadow-sm space-y-3">
+    <h2 className="text-xs font-bold text-slate-400">{title}</h2>
+    {children}
+  </section>
+);
+
+const Label = ({ children, hint }) => (
+  <p className="text-sm text-slate-500 mb-1">
+    {children}
+    {hint && <span className="ml-2 text-xs text-slate-400">{hint}</span>}
+  </p>
+);
+
+// path に関する誤り (path.0.text なども含む)
+const ErrorList = ({ errors, path }) => {
+  const messages = errors.filter(e => e.path === path || e.path.startsWith(`${path}.`)).map(e => e.message);
+  if (messages.length === 0) return null;
+  return (
+    <ul className="text-xs text-red-600 space-y-0.5">
+      {messages.map((message, i) => <li key={i}>{message}</li>)}
+    </ul>
+  );
+};
+
+// 数式の \ はそのまま入力できる (JSON への書き出し時にエスケープされる)
+const TextArea = ({ value, onChange, rows = 3, placeholder }) => (
+  <textarea
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    rows={rows}
+    placeholder={placeholder}
+    className={`${monoInputClass} resize-y leading-relaxed`}
+  />
+);
+
+// 入力途中 ("2.7e-" など) の文字列を保ったまま、数値として読めたときだけ反映する数値入力
+const NumberInput = ({ value, onChange, placeholder, className = 'w-32' }) => {
+  const [text, setText] = useState(value === undefined ? '' : String(value));
+
+  useEffect(() => {
+    if (Number(text) !== value && !(text === '' && value === undefined)) setText(value === undefined ? '' : String(value));
+  }, [value]);
+
+  const handleChange = (next) => {
+    setText(next);
+    if (next.trim() === '') onChange(undefined);
+    else if (Number.isFinite(Number(next))) onChange(Number(next));
+  };
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      value={text}
+      onChange={(e) => handleChange(e.target.value)}
+      placeholder={placeholder}
+      className={`${monoInputClass} ${className}`}
+    />
+  );
+};
+
+// 配列の要素の並べ替え・削除
+const moveItem = (items, from, to) => {
+  const next = [...items];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+const ListButtons = ({ index, count, onMove, onRemove, minItems = 0 }) => (
+  <div className="flex items-center">
+    {onMove && (
+      <>
+        <button type="button" onClick={() => onMove(index, index - 1)} disabled={index === 0} className={smallButtonClass} aria-label="上へ"><ArrowUp size={16} /></button>
+        <button type="button" onClick={() => onMove(index, index + 1)} disabled={index === count - 1} className={smallButtonClass} aria-label="下へ"><ArrowDown size={16} /></button>
+      </>
+    )}
+    <button type="button" onClick={() => onRemove(index)} disabled={count <= minItems} className={smallButtonClass} aria-label="削除"><Trash2 size={16} /></button>
+  </div>
+);
+
+const AddButton = ({ onClick, children }) => (
+  <button type="button" onClick={onClick} className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800 font-bold">
+    <Plus size={16} /> {children}
+  </button>
+);
+
+// 文字列の配列 (語句の正解・並べ替えの項目など)
+// 項目に対応づいた値があるときは onRemove で削除を受け取り、対応も一緒に消す
+const StringListEditor = ({ values, onChange, onRemove, placeholder, addLabel, orderable = false, minItems = 1, renderExtra }) => (
+  <div className="space-y-2">
+    {values.map((value, i) => (
+      <div key={i} className="flex items-center gap-2">
+        {orderable && <span className="w-6 text-center text-sm font-bold text-slate-400">{i + 1}</span>}
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => onChange(values.map((v, j) => j === i ? e.target.value : v))}
+          placeholder={placeholder}
+          className={monoInputClass}
+        />
+        {renderExtra && renderExtra(i)}
+        <ListButtons
+          index={i}
+          count={values.length}
+          minItems={minItems}
+          onMove={orderable ? (from, to) => onChange(moveItem(values, from, to)) : null}
+          onRemove={onRemove || ((index) => onChange(values.filter((_, j) => j !== index)))}
+        />
+      </div>
+    ))}
+    <AddButton onClick={() => onChange([...values, ''])}>{addLabel}</AddButton>
+  </div>
+);
+
+// タグ (Enter または読点で追加。既存の問題のタグを候補に出す)
+const TagsEditor = ({ tags, onChange, knownTags }) => {
+  const [input, setInput] = useState('');
+  const add = (text) => {
+    const tag = text.trim();
+    if (tag && !tags.includes(tag)) onChange([...tags, tag]);
+    setInput('');
+  };
+  return (
+    <div className="flex flex-wrap items-center gap-1.5">
+      {tags.map(tag => (
+        <span key={tag} className="flex items-center gap-1 text-sm bg-blue-50 text-blue-700 border border-blue-100 pl-2 pr-1 py-0.5 rounded-full">
+          {tag}
+          <button type="button" onClick={() => onChange(tags.filter(t => t !== tag))} className="text-blue-400 hover:text-blue-700" aria-label={`${tag} を削除`}>
+            <X size={14} />
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        value={input}
+        list="question-tags"
+        onChange={(e) => /[,、]$/.test(e.target.value) ? add(e.target.value.slice(0, -1)) : setInput(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && !e.nativeEvent.isComposing) {
+            e.preventDefault();
+            add(input);
+          }
+        }}
+        onBlur={() => add(input)}
+        placeholder="タグを追加"
+        className={`${inputClass} w-40 text-sm py-1`}
+      />
+      <datalist id="question-tags">
+        {knownTags.filter(tag => !tags.includes(tag)).map(tag => <option key={tag} value={tag} />)}
+      </datalist>
+    </div>
+  );
+};
+
+/**
+ * 図の編集。src は問題ファイルからの相対パス (./figures/...)
+ * 画像を選ぶとそのファイル名でパスを設定し、プレビュー用に読み込む (ファイル自体は figures/ に置く必要がある)
+ */
+const FigureFields = ({ figure, onChange, onFile }) => (
+  <div className="space-y-2">
+    <div className="flex items-center gap-2">
+      <input
+        type="text"
+        value={figure.src}
+        onChange={(e) => onChange({ ...figure, src: e.target.value })}
+        placeholder="./figures/101-apparatus.svg"
+        className={monoInputClass}
+      />
+      <label className="flex items-center gap-1 px-2 py-2 text-sm text-slate-600 border-2 border-slate-200 rounded-lg cursor-pointer hover:bg-slate-50 whitespace-nowrap">
+        <ImagePlus size={16} /> 画像を選択
+        <input
+          type="file"
+          accept="image/*"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (!file) return;
+            const src = `./figures/${file.name}`;
+            onFile(src, file);
+            onChange({ ...figure, src });
+          }}
+        />
+      </label>
+    </div>
+    <input
+      type="text"
+      value={figure.alt}
+      onChange={(e) => onChange({ ...figure, alt: e.target.value })}
+      placeholder="代替テキスト (必須): 図の内容を文章で"
+      className={inputClass}
+    />
+    <input
+      type="text"
+      value={figure.caption}
+      onChange={(e) => onChange({ ...figure, caption: e.target.value })}
+      placeholder="キャプション (任意)"
+      className={inputClass}
+    />
+  </div>
+);
+
+const emptyFigure = () => ({ src: '', alt: '', caption: '' });
+
+const FiguresEditor = ({ figures, onChange, onFile }) => (
+  <div className="space-y-3">
+    {figures.map((figure, i) => (
+      <div key={i} className="flex items-start gap-2 p-3 bg-slate-50 rounded-lg border border-slate-100">
+        <div className="flex-1">
+          <FigureFields
+            figure={figure}
+            onChange={(next) => onChange(figures.map((f, j) => j === i ? next : f))}
+            onFile={onFile}
+          />
+        </div>
+        <ListButtons index={i} count={figures.length} onRemove={(index) => onChange(figures.filter((_, j) => j !== index))} />
+      </div>
+    ))}
+    <AddButton onClick={() => onChange([...figures, emptyFigure()])}>図を追加</AddButton>
+  </div>
+);
+
+const SelectionEditor = ({ draft, set, errors, onFile }) => {
+  const setOption = (i, patch) => set({ options: draft.options.map((o, j) => j === i ? { ...o, ...patch } : o) });
+  const toggleAnswer = (i) => set({
+    answers: draft.answers.includes(i) ? draft.answers.filter(a => a !== i) : [...draft.answers, i].sort((a, b) => a - b)
+  });
+  // 選択肢を削除したら、正解の添字を詰める
+  const removeOption = (index) => set({
+    options: draft.options.filter((_, j) => j !== index),
+    answers: draft.answers.filter(a => a !== index).map(a => a > index ? a - 1 : a)
+  });
+
+  return (
+    <>
+      <div className="flex flex-wrap gap-4">
+        <div>
+          <Label>選択できる数 (maxSelect)</Label>
+          <NumberInput value={draft.maxSelect} onChange={(maxSelect) => set({ maxSelect: maxSelect === undefined ? 1 : Math.max(1, Math.round(maxSelect)) })} className="w-20" />
+        </div>
+        <div>
+          <Label>採点</Label>
+          <select value={draft.scoring} onChange={(e) => set({ scoring: e.target.value })} className={inputClass}>
+            {SCORING_OPTIONS.selection.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </div>
+      </div>
+      <div className="space-y-3">
+        {draft.options.map((option, i) => (
+          <div key={i} className={`p-3 rounded-lg border-2 space-y-2 ${draft.answers.includes(i) ? 'border-green-300 bg-green-50/50' : 'border-slate-100 bg-slate-50'}`}>
+            <div className="flex items-center justify-between">
+              <label className="flex items-center gap-2 text-sm font-bold text-slate-600 cursor-pointer">
+                <input type="checkbox" checked={draft.answers.includes(i)} onChange={() => toggleAnswer(i)} className="w-4 h-4 accent-green-600" />
+                選択肢 {i + 1} {draft.answers.includes(i) && <span className="text-green-700">(正解)</span>}
+              </label>
+              <ListButtons index={i} count={draft.options.length} minItems={2} onRemove={removeOption} />
+            </div>
+            <TextArea value={option.text} onChange={(text) => setOption(i, { text })} rows={2} placeholder="選択肢の文" />
+            <TextArea value={option.explanation} onChange={(explanation) => setOption(i, { explanation })} rows={2} placeholder="この選択肢の解説 (任意)" />
+            {option.figure ? (
+              <div className="flex items-start gap-2">
+                <div className="flex-1"><FigureFields figure={option.figure} onChange={(figure) => setOption(i, { figure })} onFile={onFile} /></div>
+                <ListButtons index={i} count={1} onRemove={() => setOption(i, { figure: undefined })} />
+              </div>
+            ) : (
+              <AddButton onClick={() => setOption(i, { figure: emptyFigure() })}>選択肢に図を追加</AddButton>
+            )}
+          </div>
+        ))}
+        <AddButton onClick={() => set({ options: [...draft.options, { text: '', explanation: '' }] })}>選択肢を追加</AddButton>
+      </div>
+      <ErrorList errors={errors} path="options" />
+      <ErrorList errors={errors} path="answers" />
+    </>
+  );
+};
+
+// 変数名は確定 (フォーカスを外す) したときに反映する (入力途中で他の変数と重なっても壊れないように)
+const VariableName = ({ name, onRename }) => {
+  const [text, setText] = useState(name);
+  useEffect(() => setText(name), [name]);
+  return (
+    <input
+      type="text"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => onRename(text.trim()) || setText(name)}
+      className={`${monoInputClass} w-24`}
+    />
+  );
+};
+
+// 候補の値 (カンマ区切り) も確定時に数値の配列へ変換する
+const ValueList = ({ values, onChange }) => {
+  const [text, setText] = useState(values.join(', '));
+  useEffect(() => setText(values.join(', ')), [values]);
+  return (
+    <input
+      type="text"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => onChange(text.split(/[,、\s]+/).filter(Boolean).map(Number).filter(Number.isFinite))}
+      placeholder="1.8e-5, 2.7e-5"
+      className={monoInputClass}
+    />
+  );
+};
+
+const VariablesEditor = ({ variables, onChange }) => {
+  const entries = Object.entries(variables);
+  const rebuild = (next) => onChange(Object.fromEntries(next));
+  const setSpec = (i, spec) => rebuild(entries.map((entry, j) => j === i ? [entry[0], spec] : entry));
+  const rename = (i, name) => {
+    if (!/^[A-Za-z_]\w*$/.test(name) || entries.some(([other], j) => j !== i && other === name)) return false;
+    rebuild(entries.map((entry, j) => j === i ? [name, entry[1]] : entry));
+    return true;
+  };
+  const newName = () => ['x', 'y', 'z', 'a', 'b', 'c'].find(n => !(n in variables)) || `v${entries.length + 1}`;
+
+  return (
+    <div className="space-y-2">
+      {entries.map(([name, spec], i) => (
+        <div key={i} className="flex flex-wrap items-center gap-2 p-2 bg-slate-50 rounded-lg border border-slate-100">
+          <VariableName name={name} onRename={(next) => rename(i, next)} />
+          <select
+            value={spec.values ? 'values' : 'range'}
+            onChange={(e) => setSpec(i, e.target.value === 'values' ? { values: [spec.min ?? 1] } : { min: spec.values?.[0] ?? 1, max: spec.values?.[0] ?? 1, step: 1 })}
+            className={`${inputClass} w-auto text-sm`}
+          >
+            <option value="range">範囲</option>
+            <option value="values">候補</option>
+          </select>
+          {spec.values ? (
+            <div className="flex-1 min-w-40"><ValueList values={spec.values} onChange={(values) => setSpec(i, { values })} /></div>
+          ) : (
+            <>
+              <NumberInput value={spec.min} onChange={(min) => setSpec(i, { ...spec, min })} placeholder="min" className="w-24" />
+              <span className="text-slate-400">〜</span>
+              <NumberInput value={spec.max} onChange={(max) => setSpec(i, { ...spec, max })} placeholder="max" className="w-24" />
+              <span className="text-xs text-slate-400">刻み</span>
+              <NumberInput value={spec.step} onChange={(step) => setSpec(i, { ...spec, step })} placeholder="step" className="w-20" />
+            </>
+          )}
+          <ListButtons index={i} count={entries.length} onRemove={(index) => rebuild(entries.filter((_, j) => j !== index))} />
+        </div>
+      ))}
+      <AddButton onClick={() => onChange({ ...variables, [newName()]: { min: 1, max: 10, step: 1 } })}>変数を追加</AddButton>
+    </div>
+  );
+};
+
+const NumericEditor = ({ draft, set, errors }) => {
+  const isTemplate = draft.formula !== undefined;
+
+  return (
+    <>
+      <div className="inline-flex bg-slate-100 p-1 rounded-lg gap-1">
+        {[{ k: false, l: '固定の値' }, { k: true, l: 'テンプレート (出題ごとに値を変える)' }].map(opt => (
+          <button key={String(opt.k)} type="button"
+            onClick={() => set(opt.k
+              ? { correctValue: undefined, formula: draft.formula ?? '', variables: draft.variables }
+              : { correctValue: draft.correctValue ?? 0, formula: undefined, variables: {} })}
+            className={`px-3 py-1.5 text-sm rounded-md transition-all ${isTemplate === opt.k ? 'bg-white shadow text-blue-700 font-bold' : 'text-slate-500 hover:bg-slate-200'}`}>
+            {opt.l}
+          </button>
+        ))}
+      </div>
+      {isTemplate ? (
+        <>
+          <div>
+            <Label hint="問題文・解説では {{c}} や {{sqrt(c*Ka)|3}} (有効数字3桁) で値を埋め込めます">変数</Label>
+            <VariablesEditor variables={draft.variables} onChange={(variables) => set({ variables })} />
+          </div>
+          <div>
+            <Label hint="例: -log10(sqrt(c*Ka))">正解を求める式 (formula)</Label>
+            <input type="text" value={draft.formula} onChange={(e) => set({ formula: e.target.value })} className={monoInputClass} />
+            <ErrorList errors={errors} path="formula" />
+          </div>
+        </>
+      ) : (
+        <div>
+          <Label>正解 (correctValue)</Label>
+          <NumberInput value={draft.correctValue} onChange={(correctValue) => set({ correctValue })} placeholder="2.78" />
+        </div>
+      )}
+      <ErrorList errors={errors} path="correctValue" />
+      <div className="flex flex-wrap gap-4">
+        <div>
+          <Label>許容誤差 (±)</Label>
+          <NumberInput value={draft.tolerance} onChange={(tolerance) => set({ tolerance })} placeholder="0.05" className="w-24" />
+          <ErrorList errors={errors} path="tolerance" />
+        </div>
+        <div>
+          <Label>有効数字</Label>
+          <NumberInput value={draft.sigFigs} onChange={(sigFigs) => set({ sigFigs: sigFigs === undefined ? undefined : Math.max(1, Math.round(sigFigs)) })} placeholder="なし" className="w-20" />
+        </div>
+        <div>
+          <Label>単位</Label>
+          <input type="text" value={draft.unit} onChange={(e) => set({ unit: e.target.value })} placeholder="mol/L" className={`${monoInputClass} w-32`} />
+        </div>
+      </div>
+      <label className="flex items-center gap-2 text-sm text-slate-600">
+        <input type="checkbox" checked={draft.requireUnit} onChange={(e) => set({ requireUnit: e.target.checked })} className="w-4 h-4" />
+        単位も解答させて採点する
+      </label>
+      <ErrorList errors={errors} path="unit" />
+      {draft.requireUnit && (
+        <div>
+          <Label hint="unit と同じ意味として受け付ける表記">別表記 (unitAliases)</Label>
+          <StringListEditor values={draft.unitAliases} onChange={(unitAliases) => set({ unitAliases })} placeholder="mol·L⁻¹" addLabel="別表記を追加" minItems={0} />
+        </div>
+      )}
+    </>
+  );
+};
+
+// 構造式の正解: エディタで描いた構造の SMILES を追加する。RDKit が使えれば正規 SMILES で妥当性を確認する
+const StructureEditor = ({ draft, set, errors }) => {
+  const [editorState, setEditorState] = useState(null);
+  const [rdkitReady, setRDKitReady] = useState(false);
+
+  useEffect(() => {
+    loadRDKit().then(() => setRDKitReady(true)).catch(e => console.error(e));
+  }, []);
+
+  const drawnSmiles = editorState ? generateSmiles(editorState.atoms, editorState.bonds) : '';
+  const canonical = (smiles) => rdkitReady ? toCanonicalSmiles(smiles) : undefined;
+  const isDuplicate = drawnSmiles && draft.targetFormula.some(s => s === drawnSmiles || (rdkitReady && canonical(s) === canonical(drawnSmiles)));
+
+  return (
+    <>
+      <NanoMolEditor value={editorState} onChange={setEditorState} />
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={() => set({ targetFormula: [...draft.targetFormula, drawnSmiles] })}
+          disabled={!drawnSmiles || isDuplicate}
+          className="flex items-center gap-1 px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold rounded-lg disabled:opacity-40"
+        >
+          <Plus size={16} /> 描いた構造を正解に追加
+        </button>
+        <span className="text-xs text-slate-400 font-mono">{drawnSmiles || '構造を描いてください'}{isDuplicate && ' (追加済み)'}</span>
+      </div>
+      <div>
+        <Label hint="1構造につき1つ。書き方の揺れは RDKit で吸収されます">正解の SMILES (targetFormula)</Label>
+        <StringListEditor
+          values={draft.targetFormula}
+          onChange={(targetFormula) => set({ targetFormula })}
+          placeholder="CCO"
+          addLabel="SMILES を直接入力"
+          minItems={0}
+          renderExtra={(i) => {
+            const result = canonical(draft.targetFormula[i]);
+            if (result === undefined || !draft.targetFormula[i]) return null;
+            return result
+              ? <span className="text-green-600" title={`正規 SMILES: ${result}`}><Check size={16} /></span>
+              : <span className="text-xs text-red-600 whitespace-nowrap">解釈できません</span>;
+          }}
+        />
+      </div>
+      <ErrorList errors={errors} path="targetFormula" />
+    </>
+  );
+};
+
+const MatchingEditor = ({ draft, set, errors }) => {
+  // 右の項目を削除したら、対応の添字を詰める (削除した項目への対応は未設定に戻す)
+  const removeRight = (index) => set({
+    right: draft.right.filter((_, j) => j !== index),
+    pairs: draft.pairs.map(p => p === index ? null : p > index ? p - 1 : p)
+  });
+  // 左の項目を削除したら、その項目の対応も削除する (後ろの項目の対応がずれないように)
+  const removeLeft = (index) => set({
+    left: draft.left.filter((_, j) => j !== index),
+    pairs: draft.left.map((_, j) => draft.pairs[j] ?? null).filter((_, j) => j !== index)
+  });
+
+  return (
+    <>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <Label hint="対応する右の項目を選ぶ">左の項目</Label>
+          <StringListEditor
+            values={draft.left}
+            onChange={(left) => set({ left, pairs: left.map((_, i) => draft.pairs[i] ?? null) })}
+            onRemove={removeLeft}
+            addLabel="項目を追加"
+            minItems={2}
+            renderExtra={(i) => (
+              <select
+                value={draft.pairs[i] ?? ''}
+                onChange={(e) => set({ pairs: draft.left.map((_, j) => j === i ? Number(e.target.value) : draft.pairs[j] ?? null) })}
+                className={`${inputClass} w-16 text-sm`}
+              >
+                <option value="" disabled>-</option>
+                {draft.right.map((_, r) => <option key={r} value={r}>{r + 1}</option>)}
+              </select>
+            )}
+          />
+        </div>
+        <div>
+          <Label hint="対応のない紛らわしい候補を混ぜてもよい">右の項目</Label>
+          <div className="space-y-2">
+            {draft.right.map((value, i) => (
+              <div key={i} className="flex items-center gap-2">
+                <span className="w-6 text-center text-sm font-bold text-slate-400">{i + 1}</span>
+                <input
+                  type="text"
+                  value={value}
+                  onChange={(e) => set({ right: draft.right.map((v, j) => j === i ? e.target.value : v) })}
+                  className={monoInputClass}
+                />
+                <ListButtons index={i} count={draft.right.length} minItems={2} onRemove={removeRight} />
+              </div>
+            ))}
+            <AddButton onClick={() => set({ right: [...draft.right, ''] })}>候補を追加</AddButton>
+          </div>
+        </div>
+      </div>
+      <div>
+        <Label>採点</Label>
+        <select value={draft.scoring} onChange={(e) => set({ scoring: e.target.value })} className={`${inputClass} w-auto`}>
+          {SCORING_OPTIONS.matching.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+      </div>
+      <ErrorList errors={errors} path="left" />
+      <ErrorList errors={errors} path="right" />
+      <ErrorList errors={errors} path="pairs" />
+    </>
+  );
+};
+
+/**
+ * 問題1問分の入力フォーム (問題タイプごとに固有の欄を出す)
+ */
+export default function QuestionForm({ draft, onChange, categories, knownTags = [], errors, onFigureFile }) {
+  const set = (patch) => onChange({ ...draft, ...patch });
+  const category = categories.find(c => c.id === draft.cat);
+
+  return (
+    <div className="space-y-4">
+      <Section title="基本情報">
+        <div className="flex flex-wrap gap-1 bg-slate-100 p-1 rounded-lg">
+          {QUESTION_TYPES.map(t => (
+            <button key={t.value} type="button" onClick={() => t.value !== draft.type && onChange(changeType(draft, t.value))}
+              className={`px-3 py-1.5 text-sm rounded-md transition-all ${draft.type === t.value ? 'bg-white shadow text-blue-700 font-bold' : 'text-slate-500 hover:bg-slate-200'}`}>
+              {t.label}
+            </button>
+          ))}
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <div>
+            <Label>カテゴリ</Label>
+            <select value={draft.cat} onChange={(e) => set({ cat: e.target.value, sub: '' })} className={inputClass}>
+              <option value="" disabled>選択してください</option>
+              {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          </div>
+          <div>
+            <Label>サブカテゴリ</Label>
+            <select value={draft.sub} onChange={(e) => set({ sub: e.target.value })} className={inputClass} disabled={!category}>
+              <option value="" disabled>選択してください</option>
+              {category?.subcategories.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+            </select>
+          </div>
+          <div>
+            <Label>難易度</Label>
+            <div className="inline-flex bg-slate-100 p-1 rounded-lg gap-1">
+              {[1, 2, 3].map(level => (
+                <button key={level} type="button" onClick={() => set({ difficulty: level })}
+                  className={`px-3 py-1.5 text-sm rounded-md transition-all ${draft.difficulty === level ? 'bg-white shadow text-blue-700 font-bold' : 'text-slate-400 hover:bg-slate-200'}`}>
+                  {'★'.repeat(level)}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+        <ErrorList errors={errors} path="cat" />
+        <ErrorList errors={errors} path="sub" />
+        <div>
+          <Label hint="検索・絞り込み用 (例: ハロゲン、ヘスの法則)">タグ</Label>
+          <TagsEditor tags={draft.tags} onChange={(tags) => set({ tags })} knownTags={knownTags} />
+          <ErrorList errors={errors} path="tags" />
+        </div>
+      </Section>
+
+      <Section title="問題文">
+        <TextArea value={draft.question} onChange={(question) => set({ question })} rows={4} placeholder="$...$ で数式、$\ce{...}$ で化学式、**太字** など" />
+        <ErrorList errors={errors} path="question" />
+        <FiguresEditor figures={draft.figures} onChange={(figures) => set({ figures })} onFile={onFigureFile} />
+        <ErrorList errors={errors} path="figures" />
+      </Section>
+
+      <Section title="解答">
+        {draft.type === 'selection' && <SelectionEditor draft={draft} set={set} errors={errors} onFile={onFigureFile} />}
+        {draft.type === 'numeric' && <NumericEditor draft={draft} set={set} errors={errors} />}
+        {draft.type === 'structure' && <StructureEditor draft={draft} set={set} errors={errors} />}
+        {draft.type === 'equation' && (
+          <>
+            <div>
+              <Label hint="係数は最も簡単な整数比で">正解の反応式</Label>
+              <input type="text" value={draft.equation} onChange={(e) => set({ equation: e.target.value })}
+                placeholder="2MnO4^- + 5H2O2 + 6H^+ -> 2Mn^2+ + 5O2 + 8H2O" className={monoInputClass} />
+              <ErrorList errors={errors} path="equation" />
+            </div>
+            <div>
+              <Label>解答方式</Label>
+              <select value={draft.inputMode} onChange={(e) => set({ inputMode: e.target.value })} className={`${inputClass} w-auto`}>
+                <option value="coefficients">係数のみ解答</option>
+                <option value="equation">反応式全体を解答</option>
+              </select>
+            </div>
+          </>
+        )}
+        {draft.type === 'text' && (
+          <>
+            <Label hint="全角・半角、カタカナ・ひらがな、化学式の書き方の違いは自動で吸収されます">正解として受け付ける解答</Label>
+            <StringListEditor values={draft.acceptedAnswers} onChange={(acceptedAnswers) => set({ acceptedAnswers })} placeholder="水素" addLabel="正解を追加" />
+            <ErrorList errors={errors} path="acceptedAnswers" />
+          </>
+        )}
+        {draft.type === 'matching' && <MatchingEditor draft={draft} set={set} errors={errors} />}
+        {draft.type === 'ordering' && (
+          <>
+            <Label hint="出題時はシャッフルして表示されます">正しい順に並べた項目</Label>
+            <StringListEditor values={draft.items} onChange={(items) => set({ items })} addLabel="項目を追加" orderable minItems={2} />
+            <ErrorList errors={errors} path="items" />
+          </>
+        )}
+      </Section>
+
+      <Section title="解説">
+        <TextArea value={draft.generalExplanation} onChange={(generalExplanation) => set({ generalExplanation })} rows={5} placeholder="$$...$$ で別行立ての数式、| a | b | で表" />
+        <FiguresEditor figures={draft.explanationFigures} onChange={(explanationFigures) => set({ explanationFigures })} onFile={onFigureFile} />
+        <ErrorList errors={errors} path="explanationFigures" />
+      </Section>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { AlertCircle, Check, X, CircleDot, Shuffle } from 'lucide-react';
+import LatexText from './LatexText';
+import Figure from './Figure';
+import OptionCard from './OptionCard';
+import EquationAnswer from './EquationAnswer';
+import MatchingAnswer from './MatchingAnswer';
+import OrderingAnswer from './OrderingAnswer';
+import NanoMolEditor from './NanoMolEditor';
+import { scoreAnswer, formatScore } from '../libs/grading';
+import { formatCorrectValue } from '../libs/numeric';
+import { formatTemplateNumber } from '../libs/numericTemplate';
+
+/**
+ * 問題作成ページのプレビュー。演習画面と同じ部品 (LatexText・OptionCard・各解答欄) で描画する
+ * isReview: 採点後の画面 (正解と解説) を表示する
+ * answerReady: false のとき (解答の設定に誤りがある) は解答欄を描画しない
+ */
+export default function QuestionPreview({ question, categoryName, isReview, answerReady, onRegenerate }) {
+  const [answer, setAnswer] = useState(undefined);
+  const score = isReview && answerReady ? scoreAnswer(question, answer) : null;
+  const isCorrect = score === 1;
+  const isPartial = score !== null && score > 0 && score < 1;
+
+  const toggleOption = (idx) => {
+    const current = answer || [];
+    let next;
+    if (current.includes(idx)) next = current.filter(i => i !== idx);
+    else {
+      next = [...current, idx];
+      if (next.length > question.maxSelect) next.shift();
+    }
+    setAnswer(next);
+  };
+
+  const renderAnswer = () => {
+    switch (question.type) {
+      case 'selection':
+        return (
+          <div className="space-y-4">
+            <p className="text-xs text-slate-400 font-bold mb-2 uppercase tracking-wide">{question.maxSelect}つまで選択可能</p>
+            {question.options.map((option, idx) => (
+              <OptionCard
+                key={idx}
+                option={option}
+                selected={(answer || []).includes(idx)}
+                isAnswer={question.answers.includes(idx)}
+                isReview={isReview}
+                showExplanation={isReview}
+                onSelect={() => toggleOption(idx)}
+              />
+            ))}
+          </div>
+        );
+      case 'numeric':
+        return (
+          <div className="py-4">
+            <input
+              type="text"
+              autoComplete="off"
+              value={answer || ''}
+              onChange={(e) => setAnswer(e.target.value)}
+              disabled={isReview}
+              placeholder={question.requireUnit ? "例: 1.6×10^-3 mol/L" : "例: 1.23, 1.6e-3, 1.6×10^-3"}
+              className="w-full md:w-2/3 p-3 text-lg border-2 border-slate-200 rounded-lg font-mono outline-none focus:border-blue-500"
+            />
+            {!question.requireUnit && <span className="ml-2 text-slate-500 font-serif">{question.unit}</span>}
+            {isReview && (
+              <p className="text-sm text-slate-600 mt-2">
+                正解: {formatCorrectValue(question)}
+                {question.sigFigs ? ` (有効数字${question.sigFigs}桁)` : ` (±${question.tolerance})`}
+              </p>
+            )}
+            {question.variant && (
+              <p className="flex items-center gap-2 text-xs text-slate-400 mt-2">
+                出題された値: <LatexText text={Object.entries(question.variant)
+                  .map(([name, value]) => `$${name} = ${formatTemplateNumber(value)}$`).join('、')} />
+                <button type="button" onClick={onRegenerate} className="flex items-center gap-1 text-blue-600 hover:text-blue-800 font-bold">
+                  <Shuffle size={14} /> 別の値
+                </button>
+              </p>
+            )}
+          </div>
+        );
+      case 'text':
+        return (
+          <div className="py-4">
+            <input
+              type="text"
+              autoComplete="off"
+              value={answer || ''}
+              onChange={(e) => setAnswer(e.target.value)}
+              disabled={isReview}
+              className="w-full md:w-2/3 p-3 text-lg border-2 border-slate-200 rounded-lg outline-none focus:border-blue-500"
+            />
+            {isReview && (
+              <div className="mt-3 text-sm text-slate-600">
+                <span className="font-bold mr-2">正解として受け付ける解答:</span>
+                {question.acceptedAnswers.map((accepted, i) => (
+                  <span key={i} className="inline-block bg-white border border-slate-200 rounded px-2 py-0.5 mr-1 mb-1">{accepted}</span>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      case 'equation':
+        return <EquationAnswer question={question} value={answer} onChange={setAnswer} isReview={isReview} />;
+      case 'matching':
+        return <MatchingAnswer question={question} value={answer} onChange={setAnswer} isReview={isReview} />;
+      case 'ordering':
+        return <OrderingAnswer question={question} value={answer} onChange={setAnswer} isReview={isReview} />;
+      case 'structure':
+        return (
+          <div className="py-2">
+            <NanoMolEditor value={answer} onChange={setAnswer} isReadOnly={isReview} />
+            {isReview && (
+              <p className="text-sm text-slate-600 mt-2">
+                正解の SMILES: <span className="font-mono">{question.targetFormula.join(' / ')}</span>
+              </p>
+            )}
+          </div>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className={`bg-white rounded-xl shadow-sm border overflow-hidden ${score === null ? 'border-slate-200' : isCorrect ? 'border-green-200 ring-1 ring-green-100' : isPartial ? 'border-amber-200 ring-1 ring-amber-100' : 'border-red-200 ring-1 ring-red-100'}`}>
+      <div className="bg-slate-800 text-white p-4 flex justify-between items-center">
+        <div className="flex items-center gap-3">
+          <span className="text-xs font-bold bg-slate-700 px-2 py-1 rounded text-blue-200">Q{question.id}</span>
+          <span className="text-sm font-semibold tracking-wider text-slate-300">{categoryName}</span>
+        </div>
+        {score !== null && (
+          <div className={`flex items-center gap-2 px-3 py-1 rounded-full text-sm font-bold text-white ${isCorrect ? 'bg-green-500' : isPartial ? 'bg-amber-500' : 'bg-red-500'}`}>
+            {isCorrect ? <><Check size={16}/> 正解</> : isPartial ? <><CircleDot size={16}/> 部分正解 ({formatScore(score)}点)</> : <><X size={16}/> 不正解</>}
+          </div>
+        )}
+      </div>
+
+      <div className="p-6 md:p-8">
+        <div className="text-lg md:text-xl font-medium text-slate-800 mb-6 leading-relaxed">
+          {question.question ? <LatexText text={question.question} /> : <span className="text-slate-300">問題文</span>}
+        </div>
+        {question.figures.map((figure, i) => <Figure key={i} figure={figure} />)}
+
+        {answerReady ? renderAnswer() : (
+          <p className="py-4 text-sm text-slate-400">解答の設定を完成させると、解答欄が表示されます。</p>
+        )}
+
+        {isReview && (question.generalExplanation || question.explanationFigures.length > 0) && (
+          <div className="mt-8 pt-6 border-t border-slate-100 animate-in fade-in">
+            <div className="flex items-center gap-2 mb-3 text-slate-800 font-bold">
+              <AlertCircle size={20} className="text-blue-600"/>
+              {question.type === 'selection' ? '補足解説' : '解説'}
+            </div>
+            <div className="bg-slate-50 p-4 rounded-lg text-slate-700 leading-relaxed border border-slate-100">
+              <LatexText text={question.generalExplanation} />
+              {question.explanationFigures.map((figure, i) => <Figure key={i} figure={figure} />)}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
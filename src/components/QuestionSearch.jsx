@@ -0,0 +1,140 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Search, Tag, X, Loader2, AlertCircle, RotateCcw } from 'lucide-react';
+
+const SEARCH_DELAY = 250; // [ms] 入力が止まってから検索する
+const MAX_SHOWN = 8;
+
+// タグを問題数の多い順に (同数は五十音順)
+const countTags = (questionIndex) => {
+  const counts = new Map();
+  questionIndex.forEach(q => q.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'ja'));
+};
+
+// キーワード・タグで問題を探して演習する (スタート画面)
+export default function QuestionSearch({ repository, questionIndex, categories, onStart }) {
+  const [query, setQuery] = useState('');
+  const [selectedTags, setSelectedTags] = useState([]);
+  // null: 未検索 / { items, snippets }
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const tags = useMemo(() => countTags(questionIndex), [questionIndex]);
+
+  useEffect(() => {
+    if (!query.trim() && selectedTags.length === 0) {
+      setResults(null);
+      setError(null);
+      // 検索中に条件を消した場合、中断した検索は searching を戻さないのでここで戻す
+      setSearching(false);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const items = await repository.searchQuestions(query, selectedTags);
+        const snippets = items.length > 0 ? await repository.getSnippets() : {};
+        if (!cancelled) {
+          setResults({ items, snippets });
+          setError(null);
+        }
+      } catch (e) {
+        console.error(e);
+        if (!cancelled) setError(e.message);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [repository, query, selectedTags, attempt]);
+
+  const toggleTag = (tag) => {
+    setSelectedTags(current => current.includes(tag) ? current.filter(t => t !== tag) : [...current, tag]);
+  };
+
+  const subName = (q) => categories.find(c => c.id === q.cat)?.subcategories.find(s => s.id === q.sub)?.name;
+
+  return (
+    <div className="mb-8 bg-white border border-slate-200 rounded-xl shadow-sm p-4 space-y-3">
+      <div className="flex items-center gap-2 text-slate-700 font-bold">
+        <Search size={20} /> 問題を検索
+      </div>
+      <div className="relative">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="キーワード (例: 酢酸、沸点、過マンガン酸)"
+          className="w-full p-2 pr-9 border-2 border-slate-200 rounded-lg outline-none focus:border-blue-500"
+        />
+        {searching && <Loader2 size={18} className="absolute right-3 top-3 text-slate-400 animate-spin" />}
+      </div>
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1.5">
+          <Tag size={14} className="text-slate-400" />
+          {tags.map(([tag, count]) => {
+            const selected = selectedTags.includes(tag);
+            return (
+              <button key={tag} type="button" onClick={() => toggleTag(tag)}
+                className={`text-xs px-2 py-1 rounded-full border transition-colors ${selected ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-50'}`}>
+                {tag} <span className={selected ? 'text-blue-100' : 'text-slate-400'}>{count}</span>
+              </button>
+            );
+          })}
+          {selectedTags.length > 0 && (
+            <button type="button" onClick={() => setSelectedTags([])} className="flex items-center text-xs text-slate-400 hover:text-slate-700 px-1">
+              <X size={14} /> 解除
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center gap-2 text-sm text-red-700">
+          <AlertCircle size={16} className="flex-shrink-0" />
+          <span className="flex-1">{error}</span>
+          <button type="button" onClick={() => setAttempt(n => n + 1)} className="flex items-center gap-1 text-blue-600 hover:text-blue-800 font-bold">
+            <RotateCcw size={14} /> 再検索
+          </button>
+        </div>
+      )}
+
+      {results && !error && (
+        results.items.length === 0 ? (
+          <p className="text-sm text-slate-500">一致する問題はありません。</p>
+        ) : (
+          <div className="space-y-2">
+            <ul className="divide-y divide-slate-100 border border-slate-100 rounded-lg">
+              {results.items.slice(0, MAX_SHOWN).map(q => (
+                <li key={q.id} className="px-3 py-2 text-sm">
+                  <div className="flex items-center gap-2 text-xs text-slate-400">
+                    <span className="font-bold text-slate-500">Q{q.id}</span>
+                    <span>{subName(q)}</span>
+                    <span>{'★'.repeat(q.difficulty)}</span>
+                    {q.tags.map(tag => <span key={tag} className="bg-slate-100 text-slate-500 px-1.5 rounded">{tag}</span>)}
+                  </div>
+                  <p className="text-slate-700 mt-0.5">{results.snippets[q.id]}</p>
+                </li>
+              ))}
+            </ul>
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-xs text-slate-400">
+                {results.items.length} 問が一致{results.items.length > MAX_SHOWN && ` (上位 ${MAX_SHOWN} 問を表示)`}
+              </span>
+              <button type="button" onClick={() => onStart(results.items)}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold rounded-lg">
+                検索結果で演習する
+              </button>
+            </div>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
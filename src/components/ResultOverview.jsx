@@ -0,0 +1,105 @@
+import React, { useMemo, useState } from 'react';
+import { ClipboardList, ChevronDown, ChevronRight, RotateCcw, Flag, ArrowRight } from 'lucide-react';
+import { AccuracyBar, formatPercent } from './ProgressDashboard';
+import { summarizeHistory } from '../libs/history';
+import { formatScore } from '../libs/grading';
+import { snippet } from '../libs/search';
+
+// 結果画面の概要: 分野別の正答率・間違えた問題の一覧・再挑戦ボタン
+export default function ResultOverview({
+  questions, scores, userFlags, categories, questionIndex, onJump, onRetryWrong, onRetryFlagged
+}) {
+  const [expanded, setExpanded] = useState(true);
+
+  // 今回の解答を履歴と同じ形にして分野別に集計する
+  const summary = useMemo(() => summarizeHistory(
+    questions.map((q, i) => ({ questionId: q.id, correct: scores[i] === 1 })),
+    categories,
+    questionIndex
+  ), [questions, scores, categories, questionIndex]);
+
+  const missed = questions.map((q, index) => ({ q, index, score: scores[index] })).filter(item => item.score < 1);
+  const flaggedCount = questions.filter(q => (userFlags[q.id] || []).length > 0).length;
+  const totalScore = scores.reduce((sum, score) => sum + score, 0);
+  const subName = (q) => categories.find(c => c.id === q.cat)?.subcategories.find(s => s.id === q.sub)?.name;
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+      <div
+        className="p-4 flex items-center justify-between cursor-pointer hover:bg-slate-50 transition-colors"
+        onClick={() => setExpanded(!expanded)}
+      >
+        <div className="flex items-center gap-2 text-slate-700 font-bold">
+          <ClipboardList size={20} /> 結果の概要
+        </div>
+        <div className="flex items-center gap-3 text-sm text-slate-500">
+          <span>
+            {summary.correct}/{questions.length}問正解
+            <span className="hidden sm:inline"> (得点 <span className="font-bold text-slate-700">{formatScore(totalScore)}</span>)</span>
+          </span>
+          {expanded ? <ChevronDown size={16} className="text-slate-400"/> : <ChevronRight size={16} className="text-slate-400"/>}
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="border-t border-slate-100 p-4 space-y-6 animate-in fade-in">
+          {/* 分野別の正答率 (出題のあった分野のみ) */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {summary.categories.filter(cat => cat.total > 0).map(cat => (
+              <div key={cat.id} className="space-y-2">
+                <div className="flex justify-between items-baseline">
+                  <span className="font-bold text-slate-700">{cat.name}</span>
+                  <span className="text-xs text-slate-500">{formatPercent(cat.accuracy)} ({cat.correct}/{cat.total})</span>
+                </div>
+                <AccuracyBar accuracy={cat.accuracy} />
+                <div className="pl-2 space-y-1.5 pt-1">
+                  {cat.subcategories.filter(sub => sub.total > 0).map(sub => (
+                    <div key={sub.id}>
+                      <div className="flex justify-between text-xs text-slate-500">
+                        <span>{sub.name}</span>
+                        <span>{formatPercent(sub.accuracy)} ({sub.correct}/{sub.total})</span>
+                      </div>
+                      <AccuracyBar accuracy={sub.accuracy} />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* 間違えた問題 */}
+          {missed.length > 0 && (
+            <div>
+              <p className="text-sm font-bold text-red-600 mb-2">間違えた問題 ({missed.length}問)</p>
+              <div className="space-y-1">
+                {missed.map(({ q, index, score }) => (
+                  <button key={q.id}
+                    onClick={() => onJump(index)}
+                    className="w-full flex items-center gap-3 px-3 py-2 rounded-lg text-left hover:bg-slate-50 transition-colors group"
+                  >
+                    <span className={`text-xs font-bold px-2 py-0.5 rounded text-white flex-shrink-0 ${score > 0 ? 'bg-amber-500' : 'bg-red-500'}`}>Q{index + 1}</span>
+                    <span className="text-xs text-slate-400 flex-shrink-0 hidden sm:inline">{subName(q)}</span>
+                    <span className="flex-1 text-sm text-slate-600 truncate">{snippet(q.question)}</span>
+                    <ArrowRight size={16} className="text-slate-300 group-hover:text-blue-600 flex-shrink-0" />
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* 再挑戦 */}
+          <div className="flex flex-wrap justify-end gap-2">
+            <button onClick={onRetryWrong} disabled={missed.length === 0}
+              className="flex items-center gap-1.5 px-4 py-2 bg-red-50 text-red-700 hover:bg-red-100 disabled:opacity-40 disabled:cursor-not-allowed text-sm font-bold rounded-lg transition-colors">
+              <RotateCcw size={16} /> 間違えた問題に再挑戦 ({missed.length}問)
+            </button>
+            <button onClick={onRetryFlagged} disabled={flaggedCount === 0}
+              className="flex items-center gap-1.5 px-4 py-2 bg-orange-50 text-orange-700 hover:bg-orange-100 disabled:opacity-40 disabled:cursor-not-allowed text-sm font-bold rounded-lg transition-colors">
+              <Flag size={16} /> フラグを付けた問題に再挑戦 ({flaggedCount}問)
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import React, { useMemo, useState } from 'react';
+import { Timer, ChevronDown, ChevronRight } from 'lucide-react';
+import { formatDuration, summarizeTimes } from '../libs/timing';
+
+const barColor = (score) => {
+  if (score === 1) return 'bg-green-500';
+  if (score > 0) return 'bg-amber-400';
+  return 'bg-red-400';
+};
+
+// 結果画面: 問題ごとの所要時間の配分 (バーをクリックするとその問題へ移動)
+export default function TimeDistribution({ questions, times, scores, timeLimit, currentIndex, onJump }) {
+  const [expanded, setExpanded] = useState(true);
+  const summary = useMemo(() => summarizeTimes(questions, times), [questions, times]);
+  // 制限時間を均等に割り振った場合の1問あたりの目安
+  const pace = timeLimit ? timeLimit / questions.length : null;
+  const scale = Math.max(summary.max, pace || 0);
+
+  if (summary.total === 0) return null;
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+      <div
+        className="p-4 flex items-center justify-between cursor-pointer hover:bg-slate-50 transition-colors"
+        onClick={() => setExpanded(!expanded)}
+      >
+        <div className="flex items-center gap-2 text-slate-700 font-bold">
+          <Timer size={20} /> 時間配分
+        </div>
+        <div className="flex items-center gap-3 text-sm text-slate-500">
+          <span>
+            合計 <span className="font-bold text-slate-700">{formatDuration(summary.total)}</span>
+            {timeLimit && <> / {formatDuration(timeLimit)}</>}
+            <span className="hidden sm:inline"> (平均 {formatDuration(summary.average)})</span>
+          </span>
+          {expanded ? <ChevronDown size={16} className="text-slate-400"/> : <ChevronRight size={16} className="text-slate-400"/>}
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="border-t border-slate-100 p-4 space-y-1.5 animate-in fade-in">
+          {summary.items.map(item => (
+            <button key={item.id}
+              onClick={() => onJump(item.index)}
+              className={`w-full flex items-center gap-3 px-2 py-1 rounded text-left transition-colors ${item.index === currentIndex ? 'bg-slate-100' : 'hover:bg-slate-50'}`}
+            >
+              <span className="w-8 text-xs font-bold text-slate-500">Q{item.index + 1}</span>
+              <div className="relative flex-1 h-3 bg-slate-100 rounded-full overflow-hidden">
+                <div className={`h-full rounded-full ${barColor(scores[item.index])}`} style={{ width: `${scale > 0 ? (item.ms / scale) * 100 : 0}%` }} />
+                {pace && (
+                  <div className="absolute top-0 bottom-0 border-l-2 border-dashed border-slate-500" style={{ left: `${(pace / scale) * 100}%` }} />
+                )}
+              </div>
+              <span className="w-24 text-right text-xs font-mono text-slate-600">
+                {formatDuration(item.ms)} <span className="text-slate-400">({Math.round(item.share * 100)}%)</span>
+              </span>
+            </button>
+          ))}
+          {pace && (
+            <p className="text-xs text-slate-400 pt-2">
+              点線: 制限時間を均等に配分した場合の目安 (1問 {formatDuration(pace)})
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
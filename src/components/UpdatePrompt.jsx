@@ -0,0 +1,33 @@
+import React, { useEffect, useState } from 'react';
+import { RefreshCw, X } from 'lucide-react';
+import { registerServiceWorker, applyUpdate } from '../libs/serviceWorker';
+
+// 新しいビルドが公開されたときの更新案内 (解答中の演習は保存されているので、更新後に再開できる)
+export default function UpdatePrompt() {
+  const [waitingWorker, setWaitingWorker] = useState(null);
+
+  useEffect(() => {
+    registerServiceWorker(setWaitingWorker);
+  }, []);
+
+  if (!waitingWorker) return null;
+
+  return (
+    <div className="fixed top-4 inset-x-4 z-40 mx-auto max-w-md flex items-center gap-3 p-3 bg-white border border-blue-200 shadow-lg rounded-xl animate-in fade-in" role="status">
+      <RefreshCw size={20} className="text-blue-600 shrink-0" />
+      <p className="flex-1 text-sm text-slate-700">
+        新しいバージョンがあります。
+        <span className="block text-xs text-slate-500">解答中の演習は更新後に再開できます。</span>
+      </p>
+      <button
+        onClick={() => applyUpdate(waitingWorker)}
+        className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold rounded-lg"
+      >
+        更新
+      </button>
+      <button onClick={() => setWaitingWorker(null)} className="p-1 text-slate-400 hover:text-slate-600" aria-label="閉じる">
+        <X size={18} />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,390 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Printer, Loader2, AlertCircle, RotateCcw } from 'lucide-react';
+import LatexText from './LatexText';
+import { QuestionRepository } from '../libs/questionRepository';
+import { parseQuizLink } from '../libs/quizLink';
+import { prepareQuestion } from '../libs/numericTemplate';
+import { formatCorrectValue } from '../libs/numeric';
+import { parseEquation, equationToLatex, formulaToLatex } from '../libs/equation';
+import { displayOrder } from '../libs/random';
+import { loadRDKit, smilesToSvg } from '../libs/rdkit';
+import { siteUrl } from '../libs/siteUrl';
+
+const OPTION_LABELS = '①②③④⑤⑥⑦⑧⑨⑩⑪⑫⑬⑭⑮⑯⑰⑱⑲⑳';
+const LEFT_LABELS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const ITEM_LABELS = 'アイウエオカキクケコサシスセソタチツテト';
+
+const optionLabel = (i) => OPTION_LABELS[i] ?? `(${i + 1})`;
+const itemLabel = (i) => ITEM_LABELS[i] ?? `(${i + 1})`;
+
+const DEFAULT_TITLE = '化学 演習プリント';
+
+// 印刷用の図 (演習画面の Figure と違い拡大ボタンを付けない)
+const PrintFigure = ({ figure, compact = false }) => (
+  <figure className={`break-inside-avoid ${compact ? 'mt-1' : 'my-3'}`}>
+    <img
+      src={figure.src.src}
+      width={figure.src.width}
+      height={figure.src.height}
+      alt={figure.alt}
+      className={`h-auto max-w-full object-contain ${compact ? 'max-h-32' : 'max-h-64 mx-auto'}`}
+    />
+    {figure.caption && (
+      <figcaption className={`mt-1 text-sm text-slate-600 ${compact ? '' : 'text-center'}`}><LatexText text={figure.caption} /></figcaption>
+    )}
+  </figure>
+);
+
+// 記述用の下線
+const AnswerLine = ({ label = '解答', suffix }) => (
+  <div className="flex items-end gap-2 mt-4">
+    <span className="text-sm text-slate-500">{label}</span>
+    <span className="flex-1 max-w-md border-b border-slate-500 h-8" />
+    {suffix && <span className="text-slate-700"><LatexText text={suffix} /></span>}
+  </div>
+);
+
+// 記号を書き込む ( ) 欄
+const Blank = ({ wide = false }) => (
+  <span className={`inline-block border border-slate-500 rounded-sm h-7 align-middle ${wide ? 'w-16' : 'w-10'}`} />
+);
+
+// 問題ごとの選択肢・解答欄
+const QuestionBody = ({ question: q, answerSpace }) => {
+  switch (q.type) {
+    case 'selection':
+      return (
+        <>
+          {q.maxSelect > 1 && <p className="text-xs text-slate-500 mt-1">({q.maxSelect}つまで選択)</p>}
+          <ol className="mt-2 space-y-1.5">
+            {q.options.map((option, i) => (
+              <li key={i} className="flex gap-2 break-inside-avoid">
+                <span className="flex-shrink-0">{optionLabel(i)}</span>
+                <div className="flex-1">
+                  <LatexText text={option.text} />
+                  {option.figure && <PrintFigure figure={option.figure} compact />}
+                </div>
+              </li>
+            ))}
+          </ol>
+          {answerSpace && <AnswerLine />}
+        </>
+      );
+    case 'numeric':
+      return (
+        <>
+          {q.sigFigs && <p className="text-xs text-slate-500 mt-1">(有効数字{q.sigFigs}桁で解答)</p>}
+          {answerSpace && <AnswerLine suffix={q.requireUnit ? null : q.unit} />}
+        </>
+      );
+    case 'text':
+      return answerSpace ? <AnswerLine /> : null;
+    case 'equation': {
+      if (q.inputMode !== 'coefficients') return answerSpace ? <AnswerLine label="反応式" /> : null;
+      const expected = parseEquation(q.equation);
+      const species = [...expected.reactants, ...expected.products];
+      return (
+        <div className="flex flex-wrap items-center gap-2 mt-4 text-lg">
+          {species.map((s, i) => (
+            <React.Fragment key={i}>
+              {i === expected.reactants.length && <LatexText text={'$\\to$'} />}
+              {i > 0 && i !== expected.reactants.length && <span>+</span>}
+              <span className="inline-flex items-center gap-1">
+                <Blank />
+                <LatexText text={`$${formulaToLatex(s)}$`} />
+              </span>
+            </React.Fragment>
+          ))}
+        </div>
+      );
+    }
+    case 'matching': {
+      const rightOrder = displayOrder(q.right.length, q.id);
+      return (
+        <>
+          <div className="grid grid-cols-2 gap-x-6 gap-y-1 mt-2">
+            <ol className="space-y-1">
+              {q.left.map((item, i) => (
+                <li key={i} className="flex gap-2"><span className="font-bold">{LEFT_LABELS[i]}</span><LatexText text={item} /></li>
+              ))}
+            </ol>
+            <ol className="space-y-1">
+              {rightOrder.map((r, pos) => (
+                <li key={r} className="flex gap-2"><span className="font-bold">{pos + 1}</span><LatexText text={q.right[r]} /></li>
+              ))}
+            </ol>
+          </div>
+          {answerSpace && (
+            <div className="flex flex-wrap gap-x-5 gap-y-2 mt-4">
+              {q.left.map((_, i) => <span key={i} className="flex items-center gap-1.5">{LEFT_LABELS[i]} <Blank /></span>)}
+            </div>
+          )}
+        </>
+      );
+    }
+    case 'ordering': {
+      const poolOrder = displayOrder(q.items.length, q.id);
+      return (
+        <>
+          <ol className="mt-2 space-y-1">
+            {poolOrder.map((itemIdx, pos) => (
+              <li key={itemIdx} className="flex gap-2"><span>{itemLabel(pos)}</span><LatexText text={q.items[itemIdx]} /></li>
+            ))}
+          </ol>
+          {answerSpace && (
+            <div className="flex flex-wrap items-center gap-2 mt-4">
+              {q.items.map((_, i) => (
+                <React.Fragment key={i}>
+                  {i > 0 && <span>→</span>}
+                  <Blank />
+                </React.Fragment>
+              ))}
+            </div>
+          )}
+        </>
+      );
+    }
+    case 'structure':
+      return answerSpace ? (
+        <div className="mt-4 h-56 border border-slate-500 rounded relative">
+          <span className="absolute top-1 left-2 text-xs text-slate-400">構造式</span>
+        </div>
+      ) : null;
+    default:
+      return null;
+  }
+};
+
+// 解答 (解答・解説ページ)
+const AnswerText = ({ question: q, structureSvgs }) => {
+  switch (q.type) {
+    case 'selection':
+      return q.answers.map(optionLabel).join('、');
+    case 'numeric':
+      return `${formatCorrectValue(q)}${q.sigFigs ? ` (有効数字${q.sigFigs}桁)` : ''}`;
+    case 'text':
+      return q.acceptedAnswers.join(' / ');
+    case 'equation':
+      return <LatexText text={`$${equationToLatex(parseEquation(q.equation))}$`} />;
+    case 'matching': {
+      const rightOrder = displayOrder(q.right.length, q.id);
+      return q.left.map((_, i) => `${LEFT_LABELS[i]}–${rightOrder.indexOf(q.pairs[i]) + 1}`).join('、');
+    }
+    case 'ordering': {
+      const poolOrder = displayOrder(q.items.length, q.id);
+      return q.items.map((_, i) => itemLabel(poolOrder.indexOf(i))).join(' → ');
+    }
+    case 'structure':
+      return (
+        <span className="inline-flex flex-wrap items-end gap-4">
+          {q.targetFormula.map(smiles => (
+            <span key={smiles} className="inline-flex flex-col items-center">
+              {structureSvgs[smiles] && <span className="block" dangerouslySetInnerHTML={{ __html: structureSvgs[smiles] }} />}
+              <code className="text-xs text-slate-500">{smiles}</code>
+            </span>
+          ))}
+        </span>
+      );
+    default:
+      return null;
+  }
+};
+
+const SheetHeader = ({ title, subtitle, showName }) => (
+  <header className="mb-6 pb-3 border-b-2 border-slate-800">
+    <div className="flex items-end justify-between gap-4">
+      <h1 className="text-xl font-bold">{title}{subtitle && <span className="ml-2 text-base font-normal">{subtitle}</span>}</h1>
+      {showName && (
+        <div className="flex gap-6 text-sm">
+          <span className="flex items-end gap-1">日付<span className="inline-block w-24 border-b border-slate-500" /></span>
+          <span className="flex items-end gap-1">名前<span className="inline-block w-40 border-b border-slate-500" /></span>
+        </div>
+      )}
+    </div>
+  </header>
+);
+
+/**
+ * 印刷用プリント (/print?ids=...&seed=...)
+ * 指定された問題を番号付きで並べ、解答・解説を別ページにまとめる。ブラウザの印刷 (PDF に保存) で出力する。
+ * テンプレート問題は seed から演習画面と同じ値を入れる。
+ */
+export default function Worksheet({ categories, questionIndex }) {
+  const repository = useMemo(() => new QuestionRepository(categories, questionIndex), [categories, questionIndex]);
+  const [status, setStatus] = useState('loading'); // loading, ready, empty, error
+  const [questions, setQuestions] = useState([]);
+  const [missingIds, setMissingIds] = useState([]);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const [title, setTitle] = useState(DEFAULT_TITLE);
+  const [answerSpace, setAnswerSpace] = useState(true);
+  const [answerKey, setAnswerKey] = useState(true);
+  // 構造式問題の正解の描画 (SMILES → SVG)。RDKit を読み込めなければ SMILES だけを載せる
+  const [structureSvgs, setStructureSvgs] = useState({});
+  const [drawingStructures, setDrawingStructures] = useState(false);
+
+  useEffect(() => {
+    const link = parseQuizLink(window.location.search);
+    if (!link || link.ids.length === 0) {
+      setStatus('empty');
+      return;
+    }
+    const items = link.ids.map(id => questionIndex.find(q => q.id === id)).filter(Boolean);
+    setMissingIds(link.ids.filter(id => !items.some(item => item.id === id)));
+    if (items.length === 0) {
+      setStatus('empty');
+      return;
+    }
+
+    let cancelled = false;
+    setStatus('loading');
+    repository.fetchQuestionsByIds(items)
+      .then(fetched => {
+        if (cancelled) return;
+        setQuestions(fetched.map(q => prepareQuestion(q, link.seed)));
+        setStatus('ready');
+      })
+      .catch(e => {
+        console.error(e);
+        if (cancelled) return;
+        setError(e.message);
+        setStatus('error');
+      });
+    return () => { cancelled = true; };
+  }, [repository, questionIndex, attempt]);
+
+  useEffect(() => {
+    const targets = questions.filter(q => q.type === 'structure').flatMap(q => q.targetFormula);
+    if (targets.length === 0) return;
+    let cancelled = false;
+    setDrawingStructures(true);
+    loadRDKit()
+      .then(() => {
+        if (!cancelled) setStructureSvgs(Object.fromEntries(targets.map(smiles => [smiles, smilesToSvg(smiles)])));
+      })
+      .catch(e => console.error(e))
+      .finally(() => !cancelled && setDrawingStructures(false));
+    return () => { cancelled = true; };
+  }, [questions]);
+
+  // 印刷時のヘッダー・PDF のファイル名に使われる
+  useEffect(() => {
+    document.title = title || DEFAULT_TITLE;
+  }, [title]);
+
+  return (
+    <div className="min-h-screen bg-slate-100 print:bg-white text-slate-900 font-sans">
+      {/* 操作パネル (印刷しない) */}
+      <div className="print:hidden sticky top-0 z-10 bg-white border-b border-slate-200 shadow-sm">
+        <div className="max-w-[210mm] mx-auto px-4 py-3 flex flex-wrap items-center gap-x-4 gap-y-2">
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            aria-label="タイトル"
+            className="flex-1 min-w-48 p-2 border-2 border-slate-200 rounded-lg outline-none focus:border-blue-500"
+          />
+          <label className="flex items-center gap-1.5 text-sm text-slate-600">
+            <input type="checkbox" checked={answerSpace} onChange={(e) => setAnswerSpace(e.target.checked)} /> 解答欄
+          </label>
+          <label className="flex items-center gap-1.5 text-sm text-slate-600">
+            <input type="checkbox" checked={answerKey} onChange={(e) => setAnswerKey(e.target.checked)} /> 解答・解説ページ
+          </label>
+          <button
+            type="button"
+            onClick={() => window.print()}
+            disabled={status !== 'ready'}
+            className="flex items-center gap-1.5 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white text-sm font-bold rounded-lg"
+          >
+            <Printer size={16} /> 印刷 / PDF に保存
+          </button>
+        </div>
+        {(missingIds.length > 0 || drawingStructures) && (
+          <div className="max-w-[210mm] mx-auto px-4 pb-2 text-xs text-slate-500 space-y-0.5">
+            {missingIds.length > 0 && <p className="text-orange-600">問題 {missingIds.join(', ')} は見つからないため載せていません。</p>}
+            {drawingStructures && <p>構造式の解答を描画しています...</p>}
+          </div>
+        )}
+      </div>
+
+      {status === 'loading' && (
+        <div className="flex flex-col items-center justify-center py-20 print:hidden">
+          <Loader2 size={40} className="text-blue-600 animate-spin mb-3" />
+          <p className="text-slate-500">問題を取得中...</p>
+        </div>
+      )}
+
+      {status === 'empty' && (
+        <div className="max-w-xl mx-auto mt-12 p-6 bg-white rounded-xl shadow-sm text-slate-600 space-y-3">
+          <p>印刷する問題が指定されていません。</p>
+          <p className="text-sm">問題集のスタート画面または結果画面の「印刷用プリント」から開いてください。</p>
+          <a href={siteUrl('problems/').toString()} className="inline-block text-blue-600 hover:text-blue-800 font-bold">問題集へ</a>
+        </div>
+      )}
+
+      {status === 'error' && (
+        <div className="max-w-xl mx-auto mt-12 flex items-center gap-2 bg-red-50 border border-red-200 text-red-800 text-sm p-3 rounded-lg">
+          <AlertCircle size={18} className="flex-shrink-0" />
+          <span className="flex-1">{error}</span>
+          <button type="button" onClick={() => setAttempt(n => n + 1)} className="flex items-center gap-1 text-blue-600 hover:text-blue-800 font-bold">
+            <RotateCcw size={14} /> 再読み込み
+          </button>
+        </div>
+      )}
+
+      {status === 'ready' && (
+        <>
+          {/* 問題 */}
+          <section className="max-w-[210mm] mx-auto my-6 print:my-0 p-[15mm] print:p-0 bg-white shadow print:shadow-none">
+            <SheetHeader title={title} showName />
+            <ol className="space-y-8">
+              {questions.map((q, i) => (
+                <li key={q.id} className="break-inside-avoid">
+                  <div className="flex items-baseline gap-3">
+                    <span className="font-bold flex-shrink-0">問{i + 1}</span>
+                    <div className="flex-1 min-w-0 leading-relaxed">
+                      <LatexText text={q.question} />
+                      {q.figures.map((figure, j) => <PrintFigure key={j} figure={figure} />)}
+                      <QuestionBody question={q} answerSpace={answerSpace} />
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ol>
+          </section>
+
+          {/* 解答・解説 (印刷時は改ページして別ページにする) */}
+          {answerKey && (
+            <section className="max-w-[210mm] mx-auto my-6 print:my-0 p-[15mm] print:p-0 bg-white shadow print:shadow-none break-before-page">
+              <SheetHeader title={title} subtitle="解答・解説" />
+              <ol className="space-y-6">
+                {questions.map((q, i) => (
+                  <li key={q.id} className="break-inside-avoid">
+                    <div className="flex items-baseline gap-3">
+                      <span className="font-bold flex-shrink-0">問{i + 1}</span>
+                      <div className="flex-1 min-w-0 space-y-2 leading-relaxed">
+                        <p className="font-bold">
+                          <span className="mr-2 text-sm font-normal text-slate-500">解答</span>
+                          <AnswerText question={q} structureSvgs={structureSvgs} />
+                        </p>
+                        {q.type === 'selection' && q.options.some(o => o.explanation) && (
+                          <ul className="text-sm space-y-1">
+                            {q.options.map((option, j) => option.explanation && (
+                              <li key={j} className="flex gap-2"><span className="flex-shrink-0">{optionLabel(j)}</span><LatexText text={option.explanation} /></li>
+                            ))}
+                          </ul>
+                        )}
+                        {q.generalExplanation && <div className="text-sm"><LatexText text={q.generalExplanation} /></div>}
+                        {q.explanationFigures.map((figure, j) => <PrintFigure key={j} figure={figure} />)}
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            </section>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
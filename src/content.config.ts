@@ -0,0 +1,23 @@
+import { defineCollection } from 'astro:content';
+import { file, glob } from 'astro/loaders';
+import { categorySchema, questionSchema } from './libs/questionSchema';
+
+/**
+ * --- CONTENT COLLECTIONS ---
+ * categories: 出題範囲のマスターデータ (src/content/categories.json)
+ * questions : 1問 = 1ファイル (src/content/questions/<id>.json)
+ *
+ * スキーマ (src/libs/questionSchema.ts) に合わないエントリがあるとビルドが失敗する。
+ */
+
+const categories = defineCollection({
+  loader: file('src/content/categories.json'),
+  schema: categorySchema
+});
+
+const questions = defineCollection({
+  loader: glob({ pattern: '*.json', base: './src/content/questions' }),
+  schema: questionSchema
+});
+
+export const collections = { categories, questions };
@@ -0,0 +1,76 @@
+import { createHash } from 'node:crypto';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { join, relative, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * --- SERVICE WORKER (BUILD) ---
+ * ビルド後に出力ディレクトリを走査し、プリキャッシュする URL の一覧を埋め込んだ sw.js を書き出す。
+ * 本体は serviceWorkerTemplate.js。ファイルの内容が変わると BUILD_VERSION が変わり、
+ * ブラウザが新しい sw.js を検出して更新を通知する (src/libs/serviceWorker.js)。
+ *
+ * precacheWasm: RDKit の wasm (約 7 MB) もインストール時に取得するか。
+ *   false の場合は構造式問題で初めて読み込んだときにキャッシュする
+ * precacheQuestions: 問題本文の JSON (questions/*.json) もインストール時に取得するか。
+ *   false の場合は出題されたときにキャッシュする (オフラインでは解いたことのある問題だけが出題できる)
+ */
+
+const SW_FILE = 'sw.js';
+// 問題1問ごとの JSON の出力先 (src/pages/questions/[file].json.ts)
+const QUESTIONS_DIR = 'questions/';
+
+// KaTeX のフォントは woff2 だけを使う (woff / ttf は woff2 非対応ブラウザ用)
+const SKIPPED_EXTENSIONS = ['.map', '.woff', '.ttf'];
+
+const listFiles = async (dir) => {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(entries.map(entry => {
+    const path = join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(path) : [path];
+  }));
+  return nested.flat();
+};
+
+// 出力ファイルのパス → sw.js から見た相対 URL (problems/index.html → problems/)
+const toUrl = (path) => {
+  const url = path.split(sep).join('/');
+  if (url === 'index.html') return './';
+  return url.endsWith('/index.html') ? url.slice(0, -'index.html'.length) : url;
+};
+
+export default function serviceWorker({ precacheWasm = true, precacheQuestions = true } = {}) {
+  return {
+    name: 'chemreview:service-worker',
+    hooks: {
+      'astro:build:done': async ({ dir, logger }) => {
+        const outDir = fileURLToPath(dir);
+        const files = (await listFiles(outDir))
+          .map(path => relative(outDir, path))
+          .filter(path => path !== SW_FILE)
+          .filter(path => !SKIPPED_EXTENSIONS.some(ext => path.endsWith(ext)))
+          .filter(path => precacheWasm || !path.endsWith('.wasm'))
+          .filter(path => precacheQuestions || !path.split(sep).join('/').startsWith(QUESTIONS_DIR))
+          .sort();
+
+        const hash = createHash('sha256');
+        let totalSize = 0;
+        for (const path of files) {
+          const content = await readFile(join(outDir, path));
+          hash.update(path).update(content);
+          totalSize += content.length;
+        }
+        const version = hash.digest('hex').slice(0, 12);
+
+        const template = await readFile(new URL('./serviceWorkerTemplate.js', import.meta.url), 'utf-8');
+        const header = [
+          `const BUILD_VERSION = ${JSON.stringify(version)};`,
+          `const PRECACHE_URLS = ${JSON.stringify(files.map(toUrl), null, 2)};`
+        ].join('\n');
+        await writeFile(join(outDir, SW_FILE), `${header}\n\n${template}`);
+
+        const questionFiles = files.filter(path => path.split(sep).join('/').startsWith(QUESTIONS_DIR)).length;
+        logger.info(`${SW_FILE}: ${files.length} files (${(totalSize / 1024 / 1024).toFixed(1)} MB, ${questionFiles} in ${QUESTIONS_DIR}) precached, version ${version}`);
+      }
+    }
+  };
+}
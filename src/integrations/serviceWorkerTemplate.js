@@ -0,0 +1,74 @@
+/* global BUILD_VERSION, PRECACHE_URLS */
+
+/**
+ * --- SERVICE WORKER ---
+ * ビルド時に serviceWorker.js が BUILD_VERSION と PRECACHE_URLS を先頭に付けて sw.js として出力する。
+ *
+ * - インストール時にビルド出力 (ページ・JS・CSS・フォント・図・問題データ) をまとめてキャッシュする
+ * - 以降はキャッシュを優先して返すので、初回訪問後はオフラインでも演習できる
+ * - 新しいビルドは待機状態で止め、ページ側の「更新」(SKIP_WAITING) で切り替える
+ */
+
+const CACHE_PREFIX = 'chemreview-';
+const PRECACHE = `${CACHE_PREFIX}precache-${BUILD_VERSION}`;
+// プリキャッシュしなかったファイル (woff / ttf、precacheWasm: false の wasm、precacheQuestions: false の問題) を初回取得時に入れる
+const RUNTIME = `${CACHE_PREFIX}runtime-${BUILD_VERSION}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE)
+      // HTTP キャッシュに残った古いファイルを取り込まないように
+      .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== PRECACHE && key !== RUNTIME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// ページの URL → キャッシュのキー (クエリを除き、/problems は /problems/ として扱う)
+const pageKey = (url) => {
+  const path = url.pathname;
+  const last = path.slice(path.lastIndexOf('/') + 1);
+  return url.origin + (path.endsWith('/') || last.includes('.') ? path : `${path}/`);
+};
+
+const handleNavigation = async (request) => {
+  const cached = await caches.match(pageKey(new URL(request.url)));
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch (e) {
+    return new Response('<!doctype html><meta charset="utf-8"><title>オフライン</title><p>オフラインのため、このページを表示できません。</p>', {
+      status: 503,
+      headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(RUNTIME).then(cache => cache.put(request, copy));
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(request.mode === 'navigate' ? handleNavigation(request) : cacheFirst(request));
+});
@@ -0,0 +1,306 @@
+/**
+ * --- CHEMICAL EQUATIONS ---
+ * 化学反応式の解析・釣り合いの確認・採点
+ *
+ * 記法:
+ *   2H2 + O2 -> 2H2O          (矢印は -> / → / = / <=> / ⇌ も可)
+ *   CuSO4·5H2O, (NH4)2SO4     (水和物・括弧)
+ *   Fe^3+ / Fe^{3+} / Fe³⁺    (2価以上のイオンは ^ か上付き文字で価数を書く)
+ *   Na+ / Cl- / e-            (1価のイオンと電子)
+ *   H2O(l), NaCl(aq)          (状態は無視する)
+ *   1/2O2                     (分数の係数)
+ */
+
+export const EQUATION_RESULT = {
+  CORRECT: 'correct',
+  UNBALANCED_ATOMS: 'unbalanced_atoms',
+  UNBALANCED_CHARGE: 'unbalanced_charge',
+  DIFFERENT_REACTION: 'different_reaction',
+  INVALID: 'invalid',
+  UNANSWERED: 'unanswered'
+};
+
+const ELEMENTS = new Set((
+  'H He Li Be B C N O F Ne Na Mg Al Si P S Cl Ar K Ca Sc Ti V Cr Mn Fe Co Ni Cu Zn Ga Ge As Se Br Kr ' +
+  'Rb Sr Y Zr Nb Mo Tc Ru Rh Pd Ag Cd In Sn Sb Te I Xe Cs Ba La Ce Pr Nd Pm Sm Eu Gd Tb Dy Ho Er Tm Yb Lu ' +
+  'Hf Ta W Re Os Ir Pt Au Hg Tl Pb Bi Po At Rn Fr Ra Ac Th Pa U Np Pu Am Cm Bk Cf Es Fm Md No Lr'
+).split(' '));
+
+const SUBSCRIPTS = { '₀': '0', '₁': '1', '₂': '2', '₃': '3', '₄': '4', '₅': '5', '₆': '6', '₇': '7', '₈': '8', '₉': '9' };
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁺': '+', '⁻': '-' };
+
+export class EquationParseError extends Error {}
+
+const normalize = (text) => String(text)
+  .replace(/[₀-₉]/g, c => SUBSCRIPTS[c])
+  .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻]+/g, m => '^' + [...m].map(c => SUPERSCRIPTS[c]).join(''))
+  .normalize('NFKC')
+  .replace(/[−‐–]/g, '-')
+  .replace(/[・•∙⋅*]/g, '·')
+  .trim();
+
+/**
+ * 化学式 (係数なし) を元素ごとの原子数と電荷に分解する
+ * @returns {{ atoms: Record<string, number>, charge: number, formula: string, state: string }}
+ */
+export const parseFormula = (text) => {
+  let rest = normalize(text);
+  let state = '';
+  const stateMatch = rest.match(/\((aq|s|l|g)\)$/);
+  if (stateMatch) {
+    state = stateMatch[1];
+    rest = rest.slice(0, -stateMatch[0].length);
+  }
+
+  // 電荷: ^2- / ^{2-} / 末尾の + -
+  let charge = 0;
+  const chargeMatch = rest.match(/\^\{?(\d*)([+-])\}?$/) || rest.match(/()([+-])$/);
+  if (chargeMatch) {
+    charge = (chargeMatch[2] === '+' ? 1 : -1) * (chargeMatch[1] ? parseInt(chargeMatch[1], 10) : 1);
+    rest = rest.slice(0, -chargeMatch[0].length);
+  }
+  const formula = rest;
+
+  // 電子
+  if (formula === 'e') {
+    if (charge !== -1) throw new EquationParseError(`電子の電荷が不正です: ${text}`);
+    return { atoms: {}, charge, formula, state };
+  }
+  if (formula === '') throw new EquationParseError(`化学式がありません: ${text}`);
+
+  const atoms = {};
+  for (const part of formula.split('·')) {
+    const multiplierMatch = part.match(/^(\d+)(.*)$/);
+    const multiplier = multiplierMatch ? parseInt(multiplierMatch[1], 10) : 1;
+    const body = multiplierMatch ? multiplierMatch[2] : part;
+    const counts = parseGroup(body, text);
+    for (const [el, n] of Object.entries(counts)) atoms[el] = (atoms[el] || 0) + n * multiplier;
+  }
+  return { atoms, charge, formula, state };
+};
+
+// 括弧を含む原子団を再帰下降で解析する
+const parseGroup = (body, original) => {
+  let pos = 0;
+  const readCount = () => {
+    const m = body.slice(pos).match(/^\d+/);
+    if (!m) return 1;
+    pos += m[0].length;
+    return parseInt(m[0], 10);
+  };
+  const parseSeq = (closing) => {
+    const counts = {};
+    const add = (el, n) => { counts[el] = (counts[el] || 0) + n; };
+    while (pos < body.length) {
+      const c = body[pos];
+      if (c === closing) {
+        pos++;
+        return counts;
+      }
+      if (c === '(' || c === '[') {
+        pos++;
+        const inner = parseSeq(c === '(' ? ')' : ']');
+        const n = readCount();
+        for (const [el, k] of Object.entries(inner)) add(el, k * n);
+        continue;
+      }
+      const m = body.slice(pos).match(/^[A-Z][a-z]?/);
+      if (!m) throw new EquationParseError(`化学式を解釈できません: ${original}`);
+      if (!ELEMENTS.has(m[0])) throw new EquationParseError(`不明な元素記号です: ${m[0]} (${original})`);
+      pos += m[0].length;
+      add(m[0], readCount());
+    }
+    if (closing) throw new EquationParseError(`括弧が閉じていません: ${original}`);
+    return counts;
+  };
+  const counts = parseSeq(null);
+  if (Object.keys(counts).length === 0) throw new EquationParseError(`化学式を解釈できません: ${original}`);
+  return counts;
+};
+
+export const parseCoefficient = (text) => {
+  const t = normalize(text ?? '');
+  if (t === '') return 1;
+  const m = t.match(/^(\d+(?:\.\d+)?)(?:\/(\d+))?$/);
+  if (!m) throw new EquationParseError(`係数を解釈できません: ${text}`);
+  const value = parseFloat(m[1]) / (m[2] ? parseInt(m[2], 10) : 1);
+  if (!(value > 0)) throw new EquationParseError(`係数は正の数にしてください: ${text}`);
+  return value;
+};
+
+// "+" のうち、イオンの電荷ではなく化学種の区切りになっているものだけで分割する
+const splitSpecies = (side) => {
+  const terms = [];
+  let current = '';
+  for (let i = 0; i < side.length; i++) {
+    const c = side[i];
+    if (c === '+') {
+      const prev = current.trimEnd().slice(-1);
+      const next = side.slice(i + 1).trimStart();
+      const startsSpecies = /^(?:[\d(\[A-Z]|e(?![a-z]))/.test(next);
+      if (prev !== '' && prev !== '^' && prev !== '{' && startsSpecies) {
+        terms.push(current.trim());
+        current = '';
+        continue;
+      }
+    }
+    current += c;
+  }
+  terms.push(current.trim());
+  if (terms.some(t => t === '')) throw new EquationParseError(`化学種がありません: ${side}`);
+  return terms;
+};
+
+const parseSpecies = (term) => {
+  const m = term.match(/^(\d+(?:\.\d+)?(?:\/\d+)?)?\s*(.+)$/);
+  const coefficient = parseCoefficient(m[1]);
+  return { coefficient, ...parseFormula(m[2]) };
+};
+
+/**
+ * 反応式全体を解析する
+ * @returns {{ reactants: Array, products: Array }}
+ */
+export const parseEquation = (text) => {
+  const sides = normalize(text).split(/<=>|<->|⇌|⇄|⟶|→|->|=/);
+  if (sides.length !== 2) throw new EquationParseError('矢印 (→) が1つだけ含まれる式にしてください');
+  const [reactants, products] = sides.map(side => splitSpecies(side.trim()).map(parseSpecies));
+  return { reactants, products };
+};
+
+const sideTotals = (species) => {
+  const atoms = {};
+  let charge = 0;
+  for (const s of species) {
+    for (const [el, n] of Object.entries(s.atoms)) atoms[el] = (atoms[el] || 0) + n * s.coefficient;
+    charge += s.charge * s.coefficient;
+  }
+  return { atoms, charge };
+};
+
+const nearlyEqual = (a, b) => Math.abs(a - b) < 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+
+/**
+ * 原子と電荷の釣り合いを確認する
+ * @returns {{ atoms: boolean, charge: boolean }}
+ */
+export const checkBalance = (equation) => {
+  const left = sideTotals(equation.reactants);
+  const right = sideTotals(equation.products);
+  const elements = new Set([...Object.keys(left.atoms), ...Object.keys(right.atoms)]);
+  return {
+    atoms: [...elements].every(el => nearlyEqual(left.atoms[el] || 0, right.atoms[el] || 0)),
+    charge: nearlyEqual(left.charge, right.charge)
+  };
+};
+
+// 組成と電荷から化学種を同定するキー (H2O と OH2 は同じとみなす)
+const speciesKey = (s) => Object.keys(s.atoms).sort().map(el => `${el}${s.atoms[el]}`).join('') + `|${s.charge}`;
+
+/**
+ * 化学式を同定キーに変換する (化学式として解釈できなければ null)
+ */
+export const formulaKey = (text) => {
+  try {
+    return speciesKey(parseFormula(text));
+  } catch (e) {
+    if (e instanceof EquationParseError) return null;
+    throw e;
+  }
+};
+
+const coefficientsByKey = (species) => {
+  const map = new Map();
+  for (const s of species) map.set(speciesKey(s), (map.get(speciesKey(s)) || 0) + s.coefficient);
+  return map;
+};
+
+/**
+ * 2つの反応式が (係数の定数倍を除いて) 同じ反応か
+ */
+export const isSameReaction = (a, b) => {
+  let ratio = null;
+  for (const side of ['reactants', 'products']) {
+    const ca = coefficientsByKey(a[side]);
+    const cb = coefficientsByKey(b[side]);
+    if (ca.size !== cb.size) return false;
+    for (const [key, coef] of ca) {
+      if (!cb.has(key)) return false;
+      const r = coef / cb.get(key);
+      if (ratio === null) ratio = r;
+      else if (!nearlyEqual(ratio, r)) return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * 係数入力モードの解答 (係数の配列) を期待される反応式の化学種に当てはめて式にする
+ */
+export const applyCoefficients = (expected, coefficients) => {
+  const all = [...expected.reactants, ...expected.products];
+  const withCoefs = all.map((s, i) => ({ ...s, coefficient: parseCoefficient(coefficients[i]) }));
+  return {
+    reactants: withCoefs.slice(0, expected.reactants.length),
+    products: withCoefs.slice(expected.reactants.length)
+  };
+};
+
+/**
+ * 反応式問題を採点する
+ * answer: 係数入力モードでは係数の配列、式入力モードでは反応式の文字列
+ * @returns {{ status: string, parsed: object | null, error?: string }}
+ */
+export const gradeEquation = (question, answer) => {
+  const isEmpty = Array.isArray(answer)
+    ? answer.every(c => !c || String(c).trim() === '')
+    : !answer || String(answer).trim() === '';
+  if (isEmpty) return { status: EQUATION_RESULT.UNANSWERED, parsed: null };
+
+  const expected = parseEquation(question.equation);
+  let parsed;
+  try {
+    parsed = Array.isArray(answer) ? applyCoefficients(expected, answer) : parseEquation(answer);
+  } catch (e) {
+    if (e instanceof EquationParseError) return { status: EQUATION_RESULT.INVALID, parsed: null, error: e.message };
+    throw e;
+  }
+
+  const balance = checkBalance(parsed);
+  if (!balance.atoms) return { status: EQUATION_RESULT.UNBALANCED_ATOMS, parsed };
+  if (!balance.charge) return { status: EQUATION_RESULT.UNBALANCED_CHARGE, parsed };
+  if (!isSameReaction(parsed, expected)) return { status: EQUATION_RESULT.DIFFERENT_REACTION, parsed };
+  return { status: EQUATION_RESULT.CORRECT, parsed };
+};
+
+/**
+ * --- LaTeX ---
+ */
+
+export const formulaToLatex = (species) => {
+  if (species.formula === 'e') return '\\mathrm{e}^{-}';
+  const body = species.formula
+    .replace(/([A-Za-z)\]])(\d+)/g, '$1_{$2}')
+    .replace(/·/g, '\\cdot ');
+  const abs = Math.abs(species.charge);
+  const charge = species.charge === 0 ? '' : `^{${abs > 1 ? abs : ''}${species.charge > 0 ? '+' : '-'}}`;
+  return `\\mathrm{${body}}${charge}`;
+};
+
+const coefficientToLatex = (coefficient) => {
+  if (coefficient === 1) return '';
+  if (Number.isInteger(coefficient)) return String(coefficient);
+  // 分母の小さい分数で表せるものは分数で表示する
+  for (let d = 2; d <= 12; d++) {
+    const n = coefficient * d;
+    if (nearlyEqual(n, Math.round(n))) return `\\frac{${Math.round(n)}}{${d}}`;
+  }
+  return String(coefficient);
+};
+
+export const speciesToLatex = (species) => `${coefficientToLatex(species.coefficient)}${formulaToLatex(species)}`;
+
+export const equationToLatex = (equation) => {
+  const side = (list) => list.map(speciesToLatex).join(' + ');
+  return `${side(equation.reactants)} \\to ${side(equation.products)}`;
+};
@@ -0,0 +1,124 @@
+import { describe, expect, test } from 'vitest';
+import {
+  parseFormula, parseCoefficient, parseEquation, checkBalance, formulaKey, isSameReaction, gradeEquation,
+  EQUATION_RESULT, EquationParseError
+} from './equation';
+
+describe('parseFormula', () => {
+  test('水和物・括弧・状態', () => {
+    expect(parseFormula('CuSO4·5H2O').atoms).toEqual({ Cu: 1, S: 1, O: 9, H: 10 });
+    expect(parseFormula('(NH4)2SO4').atoms).toEqual({ N: 2, H: 8, S: 1, O: 4 });
+    expect(parseFormula('NaCl(aq)')).toMatchObject({ atoms: { Na: 1, Cl: 1 }, state: 'aq', formula: 'NaCl' });
+  });
+
+  test('価数は ^ ・波括弧・上付き文字のどれで書いてもよい', () => {
+    for (const text of ['Fe^3+', 'Fe^{3+}', 'Fe³⁺']) {
+      expect(parseFormula(text)).toMatchObject({ atoms: { Fe: 1 }, charge: 3 });
+    }
+    expect(parseFormula('SO4^2-')).toMatchObject({ atoms: { S: 1, O: 4 }, charge: -2 });
+  });
+
+  test('^ の無い末尾の + - は1価の電荷', () => {
+    expect(parseFormula('Na+')).toMatchObject({ atoms: { Na: 1 }, charge: 1 });
+    expect(parseFormula('OH-')).toMatchObject({ atoms: { O: 1, H: 1 }, charge: -1 });
+    expect(parseFormula('e-')).toMatchObject({ atoms: {}, charge: -1 });
+  });
+
+  test('"Fe3+" は Fe³⁺ ではなく Fe₃⁺ と読む (2価以上は ^ が必要)', () => {
+    expect(parseFormula('Fe3+')).toMatchObject({ atoms: { Fe: 3 }, charge: 1 });
+    expect(formulaKey('Fe3+')).not.toBe(formulaKey('Fe^3+'));
+  });
+
+  test('全角・下付き文字は半角にそろえる', () => {
+    expect(formulaKey('Ｈ₂Ｏ')).toBe(formulaKey('H2O'));
+    expect(formulaKey('OH2')).toBe(formulaKey('H2O'));
+  });
+
+  test('解釈できない化学式', () => {
+    expect(() => parseFormula('Xx2')).toThrow(EquationParseError);
+    expect(() => parseFormula('Ca(OH2')).toThrow(EquationParseError);
+    expect(() => parseFormula('e^2-')).toThrow(EquationParseError);
+    expect(formulaKey('h2o')).toBeNull();
+  });
+});
+
+describe('parseCoefficient', () => {
+  test('省略・整数・分数', () => {
+    expect(parseCoefficient('')).toBe(1);
+    expect(parseCoefficient('3')).toBe(3);
+    expect(parseCoefficient('1/2')).toBe(0.5);
+  });
+
+  test('正の数でなければエラー', () => {
+    expect(() => parseCoefficient('0')).toThrow(EquationParseError);
+    expect(() => parseCoefficient('-2')).toThrow(EquationParseError);
+    expect(() => parseCoefficient('a')).toThrow(EquationParseError);
+  });
+});
+
+describe('parseEquation', () => {
+  test('化学種の区切りの + とイオンの電荷の + を区別する', () => {
+    const { reactants, products } = parseEquation('Ag+ + Cl- → AgCl');
+    expect(reactants.map(s => [s.formula, s.charge])).toEqual([['Ag', 1], ['Cl', -1]]);
+    expect(products.map(s => s.formula)).toEqual(['AgCl']);
+  });
+
+  test('係数と矢印の書き方', () => {
+    for (const text of ['2H2 + O2 -> 2H2O', '2H2 + O2 = 2H2O', '2H2 + O2 ⇌ 2H2O']) {
+      expect(parseEquation(text).reactants.map(s => s.coefficient)).toEqual([2, 1]);
+    }
+    expect(parseEquation('H2 + 1/2O2 -> H2O').reactants[1].coefficient).toBe(0.5);
+  });
+
+  test('矢印が1つでなければエラー', () => {
+    expect(() => parseEquation('H2 + O2')).toThrow(EquationParseError);
+    expect(() => parseEquation('A -> B -> C')).toThrow(EquationParseError);
+    expect(() => parseEquation('H2 + -> H2O')).toThrow(EquationParseError);
+  });
+});
+
+describe('checkBalance', () => {
+  test('原子と電荷', () => {
+    expect(checkBalance(parseEquation('2H2 + O2 -> 2H2O'))).toEqual({ atoms: true, charge: true });
+    expect(checkBalance(parseEquation('H2 + O2 -> H2O'))).toEqual({ atoms: false, charge: true });
+    expect(checkBalance(parseEquation('Fe^3+ + e- -> Fe^2+'))).toEqual({ atoms: true, charge: true });
+    expect(checkBalance(parseEquation('Fe^3+ -> Fe^2+'))).toEqual({ atoms: true, charge: false });
+  });
+
+  test('^ を付けずに書いた価数は原子数として数えるので釣り合わない', () => {
+    expect(checkBalance(parseEquation('Fe3+ + e- -> Fe2+')).atoms).toBe(false);
+  });
+});
+
+describe('isSameReaction', () => {
+  test('係数の定数倍は同じ反応', () => {
+    expect(isSameReaction(parseEquation('2H2 + O2 -> 2H2O'), parseEquation('H2 + 1/2O2 -> H2O'))).toBe(true);
+    expect(isSameReaction(parseEquation('O2 + 2H2 -> 2H2O'), parseEquation('2H2 + O2 -> 2H2O'))).toBe(true);
+    expect(isSameReaction(parseEquation('2H2O -> 2H2 + O2'), parseEquation('2H2 + O2 -> 2H2O'))).toBe(false);
+  });
+});
+
+describe('gradeEquation', () => {
+  const question = { equation: '2H2 + O2 -> 2H2O' };
+
+  test('係数入力モード', () => {
+    expect(gradeEquation(question, ['2', '', '2']).status).toBe(EQUATION_RESULT.CORRECT);
+    expect(gradeEquation(question, ['4', '2', '4']).status).toBe(EQUATION_RESULT.CORRECT);
+    expect(gradeEquation(question, ['1', '1', '1']).status).toBe(EQUATION_RESULT.UNBALANCED_ATOMS);
+    expect(gradeEquation(question, ['', '', '']).status).toBe(EQUATION_RESULT.UNANSWERED);
+    expect(gradeEquation(question, ['x', '1', '2'])).toMatchObject({ status: EQUATION_RESULT.INVALID, parsed: null });
+  });
+
+  test('式入力モード', () => {
+    expect(gradeEquation(question, '2H₂ + O₂ → 2H₂O').status).toBe(EQUATION_RESULT.CORRECT);
+    expect(gradeEquation(question, '2H2O2 -> 2H2O + O2').status).toBe(EQUATION_RESULT.DIFFERENT_REACTION);
+    expect(gradeEquation(question, 'H2 + O2 ->').status).toBe(EQUATION_RESULT.INVALID);
+    expect(gradeEquation(question, '  ').status).toBe(EQUATION_RESULT.UNANSWERED);
+  });
+
+  test('電荷の釣り合い', () => {
+    const redox = { equation: 'Fe^3+ + e- -> Fe^2+' };
+    expect(gradeEquation(redox, 'Fe^3+ + e- -> Fe^2+').status).toBe(EQUATION_RESULT.CORRECT);
+    expect(gradeEquation(redox, 'Fe^3+ + 2e- -> Fe^2+').status).toBe(EQUATION_RESULT.UNBALANCED_CHARGE);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * --- EXPRESSIONS ---
+ * 数値問題のテンプレートで使う計算式の解析と評価 (eval は使わない)
+ *
+ * 記法:
+ *   -log10(sqrt(c*Ka))      四則演算 + - * /、べき乗 ^、括弧
+ *   2.7e-5                  指数表記の数値
+ *   sqrt log10 log ln exp abs pow(a, b) min(a, b) max(a, b)
+ *   log は常用対数 (log10 と同じ)、ln は自然対数
+ */
+
+export class ExpressionError extends Error {}
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  log10: Math.log10,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp,
+  abs: Math.abs,
+  pow: Math.pow,
+  min: Math.min,
+  max: Math.max
+};
+
+const TOKEN_PATTERN = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(\S))/y;
+
+const tokenize = (text) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  const source = String(text).normalize('NFKC').replace(/[−‐–]/g, '-').replace(/×/g, '*');
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) break;
+    const [, number, name, symbol] = match;
+    if (number !== undefined) tokens.push({ type: 'number', value: parseFloat(number) });
+    else if (name !== undefined) tokens.push({ type: 'name', value: name });
+    else if (symbol !== undefined) {
+      if (!'+-*/^(),'.includes(symbol)) throw new ExpressionError(`使えない文字です: "${symbol}"`);
+      tokens.push({ type: 'symbol', value: symbol });
+    }
+  }
+  return tokens;
+};
+
+/**
+ * 式を構文木にする
+ * 構文木: { type: 'number', value } | { type: 'variable', name } | { type: 'call', name, args }
+ *       | { type: 'unary', operand } | { type: 'binary', op, left, right }
+ */
+export const parseExpression = (text) => {
+  const tokens = tokenize(text);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isSymbol = (value) => peek()?.type === 'symbol' && peek().value === value;
+  const expect = (value) => {
+    if (!isSymbol(value)) throw new ExpressionError(`"${value}" が必要です: ${text}`);
+    pos++;
+  };
+
+  // expression := term (('+' | '-') term)*
+  const parseSum = () => {
+    let node = parseProduct();
+    while (isSymbol('+') || isSymbol('-')) {
+      const op = tokens[pos++].value;
+      node = { type: 'binary', op, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+
+  // term := unary (('*' | '/') unary)*
+  const parseProduct = () => {
+    let node = parseUnary();
+    while (isSymbol('*') || isSymbol('/')) {
+      const op = tokens[pos++].value;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  // unary := '-' unary | power   (-x^2 は -(x^2))
+  const parseUnary = () => {
+    if (isSymbol('-')) {
+      pos++;
+      return { type: 'unary', operand: parseUnary() };
+    }
+    if (isSymbol('+')) {
+      pos++;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  // power := primary ('^' unary)?   (右結合)
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isSymbol('^')) {
+      pos++;
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new ExpressionError(`式が途中で終わっています: ${text}`);
+    pos++;
+    if (token.type === 'number') return { type: 'number', value: token.value };
+    if (token.type === 'name') {
+      if (!isSymbol('(')) return { type: 'variable', name: token.value };
+      if (!Object.hasOwn(FUNCTIONS, token.value)) throw new ExpressionError(`未知の関数です: ${token.value}`);
+      pos++;
+      const args = [parseSum()];
+      while (isSymbol(',')) {
+        pos++;
+        args.push(parseSum());
+      }
+      expect(')');
+      return { type: 'call', name: token.value, args };
+    }
+    if (token.value === '(') {
+      const node = parseSum();
+      expect(')');
+      return node;
+    }
+    throw new ExpressionError(`"${token.value}" の位置が正しくありません: ${text}`);
+  };
+
+  if (tokens.length === 0) throw new ExpressionError('式が空です');
+  const ast = parseSum();
+  if (pos < tokens.length) throw new ExpressionError(`"${tokens[pos].value}" の位置が正しくありません: ${text}`);
+  return ast;
+};
+
+// 式に現れる変数名
+export const expressionVariables = (ast, names = new Set()) => {
+  if (ast.type === 'variable') names.add(ast.name);
+  else if (ast.type === 'unary') expressionVariables(ast.operand, names);
+  else if (ast.type === 'binary') {
+    expressionVariables(ast.left, names);
+    expressionVariables(ast.right, names);
+  } else if (ast.type === 'call') ast.args.forEach(arg => expressionVariables(arg, names));
+  return names;
+};
+
+export const evaluateExpression = (ast, variables) => {
+  switch (ast.type) {
+    case 'number':
+      return ast.value;
+    case 'variable':
+      if (!Object.hasOwn(variables, ast.name)) throw new ExpressionError(`未定義の変数です: ${ast.name}`);
+      return variables[ast.name];
+    case 'unary':
+      return -evaluateExpression(ast.operand, variables);
+    case 'call':
+      return FUNCTIONS[ast.name](...ast.args.map(arg => evaluateExpression(arg, variables)));
+    default: {
+      const left = evaluateExpression(ast.left, variables);
+      const right = evaluateExpression(ast.right, variables);
+      if (ast.op === '+') return left + right;
+      if (ast.op === '-') return left - right;
+      if (ast.op === '*') return left * right;
+      if (ast.op === '/') return left / right;
+      return Math.pow(left, right);
+    }
+  }
+};
+
+// 文字列の式をそのまま評価する
+export const evaluate = (text, variables) => evaluateExpression(parseExpression(text), variables);
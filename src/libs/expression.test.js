@@ -0,0 +1,63 @@
+import { describe, expect, test } from 'vitest';
+import { parseExpression, expressionVariables, evaluate, ExpressionError } from './expression';
+
+describe('evaluate', () => {
+  test('四則演算の優先順位と括弧', () => {
+    expect(evaluate('1 + 2 * 3', {})).toBe(7);
+    expect(evaluate('(1 + 2) * 3', {})).toBe(9);
+    expect(evaluate('8 / 4 / 2', {})).toBe(1);
+    expect(evaluate('10 - 4 - 3', {})).toBe(3);
+  });
+
+  test('べき乗は右結合で、単項マイナスより強い', () => {
+    expect(evaluate('2^3^2', {})).toBe(512);
+    expect(evaluate('-2^2', {})).toBe(-4);
+    expect(evaluate('2^-1', {})).toBe(0.5);
+  });
+
+  test('指数表記・全角・×', () => {
+    expect(evaluate('2.7e-5 * 2', {})).toBeCloseTo(5.4e-5, 15);
+    expect(evaluate('３×２', {})).toBe(6);
+    expect(evaluate('.5 + 1', {})).toBe(1.5);
+  });
+
+  test('関数', () => {
+    expect(evaluate('sqrt(16)', {})).toBe(4);
+    expect(evaluate('log(1000)', {})).toBeCloseTo(3, 12);
+    expect(evaluate('ln(exp(2))', {})).toBeCloseTo(2, 12);
+    expect(evaluate('pow(2, 10)', {})).toBe(1024);
+    expect(evaluate('max(1, 5, 3)', {})).toBe(5);
+  });
+
+  test('変数', () => {
+    expect(evaluate('-log10(sqrt(c*Ka))', { c: 0.1, Ka: 1e-5 })).toBeCloseTo(3, 12);
+  });
+
+  test('未定義の変数はエラー (Object のプロパティ名も変数として扱わない)', () => {
+    expect(() => evaluate('x + 1', {})).toThrow(ExpressionError);
+    expect(() => evaluate('constructor', {})).toThrow(ExpressionError);
+    expect(() => evaluate('toString * 2', { x: 1 })).toThrow(ExpressionError);
+  });
+});
+
+describe('parseExpression', () => {
+  test('未知の関数はエラー (Object のプロパティ名も関数として扱わない)', () => {
+    expect(() => parseExpression('foo(1)')).toThrow(ExpressionError);
+    expect(() => parseExpression('constructor(1)')).toThrow(ExpressionError);
+    expect(() => parseExpression('hasOwnProperty(1)')).toThrow(ExpressionError);
+  });
+
+  test('構文の誤り', () => {
+    expect(() => parseExpression('')).toThrow(ExpressionError);
+    expect(() => parseExpression('1 +')).toThrow(ExpressionError);
+    expect(() => parseExpression('(1 + 2')).toThrow(ExpressionError);
+    expect(() => parseExpression('1 2')).toThrow(ExpressionError);
+    expect(() => parseExpression('a % b')).toThrow(ExpressionError);
+  });
+});
+
+describe('expressionVariables', () => {
+  test('関数名は含めない', () => {
+    expect([...expressionVariables(parseExpression('-log10(sqrt(c*Ka)) + c'))].sort()).toEqual(['Ka', 'c']);
+  });
+});
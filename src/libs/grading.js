@@ -0,0 +1,96 @@
+import { generateSmiles } from './smiles';
+import { isSameStructure } from './rdkit';
+import { gradeNumeric, NUMERIC_RESULT } from './numeric';
+import { gradeEquation, EQUATION_RESULT } from './equation';
+import { matchTextAnswer } from './textAnswer';
+
+/**
+ * --- GRADING ---
+ * 問題タイプごとの採点。scoreAnswer は 0〜1 の得点を返す。
+ *
+ * 選択問題の scoring:
+ * - all_or_nothing: 完全一致のみ 1 点
+ * - per_option    : 選択肢ごとの判断 (正解を選んだ・誤りを選ばなかった) が正しかった数 / 選択肢の数 (何も選ばなければ 0 点)
+ * - penalty       : (選んだ正解の数 - 選んだ誤りの数) / 正解の数 (0 未満は 0)
+ *
+ * 組み合わせ問題の scoring:
+ * - all_or_nothing: すべての組が正しいときのみ 1 点
+ * - per_option    : 正しい組の数 / 組の数
+ *
+ * 並べ替え問題は全項目が正しい順に並んだときのみ 1 点。
+ */
+
+const scoreSelection = (question, answer) => {
+  const selected = answer || [];
+  // 選択をすべて外した解答は未解答 (per_option で誤りを選ばなかった分の点を与えない)
+  if (selected.length === 0) return 0;
+  const hits = selected.filter(i => question.answers.includes(i)).length;
+  const misses = selected.length - hits;
+
+  switch (question.scoring) {
+    case 'per_option': {
+      // 選ばなかった誤りも正しい判断として数える (誤りを選ぶと点が減るので、全部選べば満点にはならない)
+      const rejected = question.options.length - question.answers.length - misses;
+      return (hits + rejected) / question.options.length;
+    }
+    case 'penalty':
+      return Math.max(0, (hits - misses) / question.answers.length);
+    default:
+      return hits === question.answers.length && misses === 0 ? 1 : 0;
+  }
+};
+
+// answer[i] = left[i] に対応づけた right の添字 (未回答は null)
+const scoreMatching = (question, answer) => {
+  const hits = question.pairs.filter((pair, i) => answer[i] === pair).length;
+  if (question.scoring === 'per_option') return hits / question.pairs.length;
+  return hits === question.pairs.length ? 1 : 0;
+};
+
+// answer = 並べた順の items の添字
+const scoreOrdering = (question, answer) => {
+  if (answer.length !== question.items.length) return 0;
+  return answer.every((item, pos) => item === pos) ? 1 : 0;
+};
+
+export const scoreAnswer = (question, answer) => {
+  if (!answer) return 0;
+
+  if (question.type === 'selection') {
+    return scoreSelection(question, answer);
+  } else if (question.type === 'numeric') {
+    return gradeNumeric(question, answer).status === NUMERIC_RESULT.CORRECT ? 1 : 0;
+  } else if (question.type === 'structure') {
+    // RDKit の正規SMILES同士で比較するため、描画順・分岐順に依存しない
+    if (!answer.atoms || answer.atoms.length === 0) return 0;
+    const smiles = generateSmiles(answer.atoms, answer.bonds);
+    return question.targetFormula.some(target => isSameStructure(smiles, target)) ? 1 : 0;
+  } else if (question.type === 'equation') {
+    return gradeEquation(question, answer).status === EQUATION_RESULT.CORRECT ? 1 : 0;
+  } else if (question.type === 'text') {
+    return matchTextAnswer(question.acceptedAnswers, answer) ? 1 : 0;
+  } else if (question.type === 'matching') {
+    return scoreMatching(question, answer);
+  } else if (question.type === 'ordering') {
+    return scoreOrdering(question, answer);
+  }
+  return 0;
+};
+
+/**
+ * 選択問題でフラグ (自信がない印) を付けた選択肢ごとに、判断が正しかったかを返す
+ * 正解の選択肢を選んだ / 誤りの選択肢を選ばなかった場合を「正しい判断」とする
+ * 戻り値: [{ option, correct }]
+ */
+export const judgeFlags = (question, answer, flags) => {
+  const selected = answer || [];
+  return (flags || []).map(option => ({
+    option,
+    correct: selected.includes(option) === question.answers.includes(option)
+  }));
+};
+
+export const checkAnswer = (question, answer) => scoreAnswer(question, answer) === 1;
+
+// 表示用 (小数第2位まで、不要な 0 は付けない)
+export const formatScore = (score) => String(Math.round(score * 100) / 100);
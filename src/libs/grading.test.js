@@ -0,0 +1,104 @@
+import { describe, expect, test } from 'vitest';
+import { scoreAnswer, checkAnswer, judgeFlags, formatScore } from './grading';
+
+// 選択肢 5 個、正解は 0 と 2
+const selection = (scoring) => ({
+  type: 'selection',
+  maxSelect: 3,
+  options: ['a', 'b', 'c', 'd', 'e'].map(text => ({ text })),
+  answers: [0, 2],
+  scoring
+});
+
+describe('scoreAnswer (選択問題)', () => {
+  test('all_or_nothing', () => {
+    const q = selection('all_or_nothing');
+    expect(scoreAnswer(q, [2, 0])).toBe(1);
+    expect(scoreAnswer(q, [0])).toBe(0);
+    expect(scoreAnswer(q, [0, 2, 1])).toBe(0);
+  });
+
+  test('per_option: 選択肢ごとの判断が正しかった数 / 選択肢の数', () => {
+    const q = selection('per_option');
+    expect(scoreAnswer(q, [0, 2])).toBe(1);
+    expect(scoreAnswer(q, [0])).toBe(4 / 5);
+    // 誤りを選ぶと、選ばなかった場合より点が下がる
+    expect(scoreAnswer(q, [0, 2, 1])).toBe(4 / 5);
+    expect(scoreAnswer(q, [1])).toBe(2 / 5);
+    expect(scoreAnswer(q, [])).toBe(0);
+  });
+
+  test('per_option: 全部選んでも満点にはならない', () => {
+    const q = { ...selection('per_option'), maxSelect: 5 };
+    expect(scoreAnswer(q, [0, 1, 2, 3, 4])).toBe(2 / 5);
+  });
+
+  test('penalty: (選んだ正解 - 選んだ誤り) / 正解の数、0 未満は 0', () => {
+    const q = selection('penalty');
+    expect(scoreAnswer(q, [0, 2])).toBe(1);
+    expect(scoreAnswer(q, [0])).toBe(0.5);
+    expect(scoreAnswer(q, [0, 1])).toBe(0);
+    expect(scoreAnswer(q, [1, 3])).toBe(0);
+  });
+});
+
+describe('scoreAnswer (その他の問題タイプ)', () => {
+  test('未解答は 0 点', () => {
+    expect(scoreAnswer(selection('per_option'), undefined)).toBe(0);
+    expect(scoreAnswer({ type: 'structure', targetFormula: ['CCO'] }, { atoms: [], bonds: [] })).toBe(0);
+  });
+
+  test('数値', () => {
+    const q = { type: 'numeric', correctValue: 2.78, tolerance: 0.05, sigFigs: 2, unit: '' };
+    expect(scoreAnswer(q, '2.8')).toBe(1);
+    expect(scoreAnswer(q, '2.80')).toBe(0);
+  });
+
+  test('反応式', () => {
+    const q = { type: 'equation', equation: '2H2 + O2 -> 2H2O', inputMode: 'coefficients' };
+    expect(scoreAnswer(q, ['2', '1', '2'])).toBe(1);
+    expect(scoreAnswer(q, ['1', '1', '1'])).toBe(0);
+  });
+
+  test('語句', () => {
+    const q = { type: 'text', acceptedAnswers: ['アンモニア', 'NH3'] };
+    expect(scoreAnswer(q, 'あんもにあ')).toBe(1);
+    expect(scoreAnswer(q, 'NH₃')).toBe(1);
+    expect(scoreAnswer(q, 'NH4')).toBe(0);
+  });
+
+  test('組み合わせ', () => {
+    const q = { type: 'matching', left: ['A', 'B', 'C'], right: ['p', 'q', 'r', 's'], pairs: [2, 0, 1] };
+    expect(scoreAnswer(q, [2, 0, 1])).toBe(1);
+    expect(scoreAnswer(q, [2, 0, null])).toBe(0);
+    expect(scoreAnswer({ ...q, scoring: 'per_option' }, [2, 0, null])).toBe(2 / 3);
+    expect(scoreAnswer({ ...q, scoring: 'per_option' }, [3, 3, 3])).toBe(0);
+  });
+
+  test('並べ替え', () => {
+    const q = { type: 'ordering', items: ['a', 'b', 'c'] };
+    expect(scoreAnswer(q, [0, 1, 2])).toBe(1);
+    expect(scoreAnswer(q, [1, 0, 2])).toBe(0);
+    expect(scoreAnswer(q, [0, 1])).toBe(0);
+  });
+});
+
+test('checkAnswer は満点のときだけ正解', () => {
+  expect(checkAnswer(selection('per_option'), [0, 2])).toBe(true);
+  expect(checkAnswer(selection('per_option'), [0])).toBe(false);
+});
+
+test('judgeFlags', () => {
+  expect(judgeFlags(selection('per_option'), [0, 1], [0, 1, 2, 3])).toEqual([
+    { option: 0, correct: true },
+    { option: 1, correct: false },
+    { option: 2, correct: false },
+    { option: 3, correct: true }
+  ]);
+});
+
+test('formatScore', () => {
+  expect(formatScore(2 / 3)).toBe('0.67');
+  expect(formatScore(0.5)).toBe('0.5');
+  expect(formatScore(1)).toBe('1');
+});
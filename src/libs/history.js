@@ -0,0 +1,135 @@
+/**
+ * --- LEARNING HISTORY ---
+ * 回答履歴を localStorage に保存する。
+ * 1回の回答 = { questionId, answer, correct, score, timestamp, timeSpent }
+ * (timeSpent: その問題を表示していた時間 [ms])
+ * テンプレートの数値問題では variant = { 変数名: 値 } (出題された値) も残す
+ * 選択問題では flags = [{ option, correct }] (フラグを付けた選択肢と、その判断が正しかったか) も残す
+ */
+
+const STORAGE_KEY = 'chemreview:history:v1';
+
+export const loadHistory = () => {
+  if (typeof localStorage === 'undefined') return [];
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.error("Failed to load history", e);
+    return [];
+  }
+};
+
+const saveHistory = (history) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch (e) {
+    // 容量超過などで保存できなくても演習自体は続けられるようにする
+    console.error("Failed to save history", e);
+  }
+};
+
+/**
+ * 回答を履歴に追記し、更新後の履歴を返す
+ */
+export const recordAttempts = (attempts) => {
+  const next = [...loadHistory(), ...attempts];
+  saveHistory(next);
+  return next;
+};
+
+export const clearHistory = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.error("Failed to clear history", e);
+  }
+  return [];
+};
+
+/**
+ * 新しい順に count 件の回答 (削除された問題の回答は除く)。meta は索引の項目
+ */
+export const listRecentAttempts = (history, questionIndex, count = 10) => {
+  const indexById = new Map(questionIndex.map(q => [q.id, q]));
+  return history
+    .filter(attempt => indexById.has(attempt.questionId))
+    .slice(-count)
+    .reverse()
+    .map(attempt => ({ ...attempt, meta: indexById.get(attempt.questionId) }));
+};
+
+/**
+ * カテゴリ・サブカテゴリごとの正答率を集計する
+ * @returns {{ total, correct, categories: Array, weakest: Array }}
+ */
+export const summarizeHistory = (history, categories, questionIndex, weakestCount = 3) => {
+  const indexById = new Map(questionIndex.map(q => [q.id, q]));
+  const subStats = new Map();
+
+  let total = 0;
+  let correct = 0;
+  for (const attempt of history) {
+    const meta = indexById.get(attempt.questionId);
+    if (!meta) continue; // 削除された問題
+    const stat = subStats.get(meta.sub) || { total: 0, correct: 0 };
+    stat.total++;
+    if (attempt.correct) stat.correct++;
+    subStats.set(meta.sub, stat);
+    total++;
+    if (attempt.correct) correct++;
+  }
+
+  const accuracy = (stat) => stat.total > 0 ? stat.correct / stat.total : null;
+
+  const categoryStats = categories.map(cat => {
+    const subcategories = cat.subcategories.map(sub => {
+      const stat = subStats.get(sub.id) || { total: 0, correct: 0 };
+      return { id: sub.id, name: sub.name, ...stat, accuracy: accuracy(stat) };
+    });
+    const stat = subcategories.reduce(
+      (acc, s) => ({ total: acc.total + s.total, correct: acc.correct + s.correct }),
+      { total: 0, correct: 0 }
+    );
+    return { id: cat.id, name: cat.name, ...stat, accuracy: accuracy(stat), subcategories };
+  });
+
+  const weakest = categoryStats
+    .flatMap(cat => cat.subcategories.map(sub => ({ ...sub, categoryName: cat.name })))
+    .filter(sub => sub.total > 0 && sub.accuracy < 1)
+    .sort((a, b) => a.accuracy - b.accuracy || b.total - a.total)
+    .slice(0, weakestCount);
+
+  return { total, correct, categories: categoryStats, weakest };
+};
+
+/**
+ * 自信度の較正: フラグ (自信がない印) を付けた判断がどのくらい当たっていたか
+ * flags を記録している選択問題の回答のみが対象
+ * 戻り値: { flaggedOptions, flaggedQuestions, confidentQuestions } (各 { total, correct, accuracy })
+ */
+export const summarizeCalibration = (history) => {
+  const stat = () => ({ total: 0, correct: 0 });
+  const flaggedOptions = stat();
+  const flaggedQuestions = stat();
+  const confidentQuestions = stat();
+
+  for (const attempt of history) {
+    if (!Array.isArray(attempt.flags)) continue;
+    const target = attempt.flags.length > 0 ? flaggedQuestions : confidentQuestions;
+    target.total++;
+    if (attempt.correct) target.correct++;
+    for (const flag of attempt.flags) {
+      flaggedOptions.total++;
+      if (flag.correct) flaggedOptions.correct++;
+    }
+  }
+
+  const withAccuracy = (s) => ({ ...s, accuracy: s.total > 0 ? s.correct / s.total : null });
+  return {
+    flaggedOptions: withAccuracy(flaggedOptions),
+    flaggedQuestions: withAccuracy(flaggedQuestions),
+    confidentQuestions: withAccuracy(confidentQuestions)
+  };
+};
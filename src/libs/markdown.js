@@ -0,0 +1,134 @@
+/**
+ * --- MARKDOWN (SUBSET) ---
+ * 問題文・解説用の Markdown の一部を構文木に変換する。HTML 文字列は生成しない
+ * (描画は LatexText が React 要素として行うため、テキストは常にエスケープされる)。
+ *
+ * ブロック: 段落 (1行の改行はそのまま改行)・箇条書き (- * +)・番号付きリスト (1. / 1))・表 (| a | b |)
+ * インライン: **太字**・*斜体*・`コード`・$数式$・$$数式$$
+ *
+ * 数式とコードは先にプレースホルダへ置き換えるので、中の * や | は Markdown として解釈されない。
+ */
+
+// プレースホルダには私用領域の文字を使う
+const PH_START = '\uE000';
+const PH_END = '\uE001';
+const PLACEHOLDER = /\uE000(\d+)\uE001/;
+
+// コード → 数式 の順に保護する ($ を含むコードを数式と誤認しないように)
+const PROTECT_PATTERN = /(`[^`\n]+`|\$\$[\s\S]+?\$\$|\$[^$]+\$)/g;
+
+const protectSpans = (text) => {
+  const tokens = [];
+  const body = text.replace(PROTECT_PATTERN, (match) => {
+    if (match.startsWith('`')) tokens.push({ type: 'code', text: match.slice(1, -1) });
+    else if (match.startsWith('$$')) tokens.push({ type: 'math', tex: match.slice(2, -2), display: true });
+    else tokens.push({ type: 'math', tex: match.slice(1, -1), display: false });
+    return `${PH_START}${tokens.length - 1}${PH_END}`;
+  });
+  return { body, tokens };
+};
+
+// 太字・斜体・プレースホルダ
+const INLINE_PATTERN = /(\*\*[\s\S]+?\*\*|\*[^*\s](?:[^*]*?[^*\s])?\*|\uE000\d+\uE001)/g;
+
+const parseInline = (text, tokens) => {
+  const nodes = [];
+  for (const part of text.split(INLINE_PATTERN)) {
+    if (!part) continue;
+    const placeholder = part.match(PLACEHOLDER);
+    if (placeholder && part === placeholder[0]) {
+      nodes.push(tokens[Number(placeholder[1])]);
+    } else if (part.length > 4 && part.startsWith('**') && part.endsWith('**')) {
+      nodes.push({ type: 'strong', children: parseInline(part.slice(2, -2), tokens) });
+    } else if (part.length > 2 && part.startsWith('*') && part.endsWith('*')) {
+      nodes.push({ type: 'em', children: parseInline(part.slice(1, -1), tokens) });
+    } else {
+      nodes.push({ type: 'text', text: part });
+    }
+  }
+  return nodes;
+};
+
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const ORDERED = /^\s*(\d+)[.)]\s+(.*)$/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR = /^\s*\|(\s*:?-+:?\s*\|)+\s*$/;
+
+const splitRow = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+
+const parseAlign = (cell) => {
+  const left = cell.startsWith(':');
+  const right = cell.endsWith(':');
+  if (left && right) return 'center';
+  if (right) return 'right';
+  return left ? 'left' : null;
+};
+
+/**
+ * テキストを構文木にする
+ * 戻り値: ブロックの配列
+ *   { type: 'paragraph', lines: [inline[]] }
+ *   { type: 'list', ordered, start, items: [inline[]] }
+ *   { type: 'table', align: [...], header: [inline[]], rows: [[inline[]]] }
+ */
+export const parseMarkdown = (text) => {
+  const { body, tokens } = protectSpans(text);
+  const lines = body.split(/\r?\n/);
+  const blocks = [];
+  const inline = (s) => parseInline(s, tokens);
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // 表 (ヘッダ行 + 区切り行が必要)
+    if (TABLE_ROW.test(line) && TABLE_SEPARATOR.test(lines[i + 1] || '')) {
+      const header = splitRow(line);
+      const align = splitRow(lines[i + 1]).map(parseAlign);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && TABLE_ROW.test(lines[i])) {
+        const cells = splitRow(lines[i]);
+        rows.push(header.map((_, c) => inline(cells[c] ?? '')));
+        i++;
+      }
+      blocks.push({ type: 'table', align, header: header.map(inline), rows });
+      continue;
+    }
+
+    // リスト (同じ種類の行が続く間)
+    const listMatch = line.match(BULLET) || line.match(ORDERED);
+    if (listMatch) {
+      const ordered = !line.match(BULLET);
+      const pattern = ordered ? ORDERED : BULLET;
+      const items = [];
+      while (i < lines.length && pattern.test(lines[i])) {
+        const m = lines[i].match(pattern);
+        items.push(inline(ordered ? m[2] : m[1]));
+        i++;
+      }
+      blocks.push({ type: 'list', ordered, start: ordered ? Number(listMatch[1]) : 1, items });
+      continue;
+    }
+
+    // 段落 (空行・表・リストまで)
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim()
+      && !BULLET.test(lines[i]) && !ORDERED.test(lines[i])
+      && !(TABLE_ROW.test(lines[i]) && TABLE_SEPARATOR.test(lines[i + 1] || ''))) {
+      paragraph.push(inline(lines[i]));
+      i++;
+    }
+    blocks.push({ type: 'paragraph', lines: paragraph });
+  }
+
+  return blocks;
+};
+
+// 1段落だけのテキストか (選択肢などはインライン要素として描画したい)
+export const isInlineOnly = (blocks) => blocks.length <= 1 && (blocks.length === 0 || blocks[0].type === 'paragraph');
@@ -0,0 +1,109 @@
+/**
+ * --- NUMERIC GRADING ---
+ * 数値解答の解析と採点 (有効数字・単位・指数表記に対応)
+ *
+ * 受け付ける表記:
+ *   2.8 / 1.6e-3 / 1.6E-3 / 1.6×10^-3 / 1.6x10^(-3) / 1.6×10⁻³ / 全角数字
+ * 数値の後ろに続く文字列は単位として扱う (例: "0.10 mol/L")
+ */
+
+export const NUMERIC_RESULT = {
+  CORRECT: 'correct',
+  WRONG_SIG_FIGS: 'wrong_sig_figs',
+  WRONG_UNIT: 'wrong_unit',
+  WRONG_VALUE: 'wrong_value',
+  INVALID: 'invalid',
+  UNANSWERED: 'unanswered'
+};
+
+const NUMBER_PATTERN = /^([+-]?(?:\d+\.?\d*|\.\d+))(?:\s*(?:[eE]([+-]?\d+)|[x×*]\s*10\s*\^?\s*\(?\s*([+-]?\d+)\s*\)?))?\s*(.*)$/;
+
+const normalize = (text) => String(text)
+  .normalize('NFKC') // 全角→半角, 上付き数字 (⁻³) → -3
+  .replace(/[−‐–]/g, '-')
+  .trim();
+
+/**
+ * 仮数部の文字列から有効数字の桁数を求める。
+ * 小数点のない数の末尾の 0 は有効数字かどうか曖昧なので { min, max } で返す。
+ */
+export const countSigFigs = (mantissa) => {
+  const unsigned = mantissa.replace(/^[+-]/, '');
+  const hasPoint = unsigned.includes('.');
+  const digits = unsigned.replace('.', '').replace(/^0+/, '');
+  if (digits === '') return { min: 1, max: 1 }; // "0", "0.0"
+  if (hasPoint) return { min: digits.length, max: digits.length };
+  const withoutTrailingZeros = digits.replace(/0+$/, '');
+  return { min: withoutTrailingZeros.length, max: digits.length };
+};
+
+/**
+ * @returns {{ value: number, sigFigs: { min, max }, unit: string } | null}
+ */
+export const parseNumericAnswer = (text) => {
+  if (text === undefined || text === null) return null;
+  const match = normalize(text).match(NUMBER_PATTERN);
+  if (!match) return null;
+  const [, mantissa, eExponent, tenExponent, unit] = match;
+  const exponent = parseInt(eExponent ?? tenExponent ?? '0', 10);
+  const value = parseFloat(mantissa) * Math.pow(10, exponent);
+  if (!Number.isFinite(value)) return null;
+  return { value, sigFigs: countSigFigs(mantissa), unit: unit.trim() };
+};
+
+const normalizeUnit = (unit) => normalize(unit)
+  .replace(/\s+/g, '')
+  .replace(/[·⋅・*]/g, '')
+  .replace(/\^/g, '');
+
+/**
+ * 数値問題を採点する
+ * @returns {{ status: string, parsed: object | null }}
+ */
+export const gradeNumeric = (question, answer) => {
+  if (answer === undefined || answer === null || String(answer).trim() === '') {
+    return { status: NUMERIC_RESULT.UNANSWERED, parsed: null };
+  }
+  const parsed = parseNumericAnswer(answer);
+  if (!parsed) return { status: NUMERIC_RESULT.INVALID, parsed };
+
+  if (question.requireUnit) {
+    const accepted = [question.unit, ...(question.unitAliases || [])].map(normalizeUnit);
+    if (!accepted.includes(normalizeUnit(parsed.unit))) {
+      return { status: NUMERIC_RESULT.WRONG_UNIT, parsed };
+    }
+  } else if (parsed.unit !== '' && normalizeUnit(parsed.unit) !== normalizeUnit(question.unit || '')) {
+    // 単位を求めない問題で数値以外の文字が続いている
+    return { status: NUMERIC_RESULT.INVALID, parsed };
+  }
+
+  if (Math.abs(parsed.value - question.correctValue) > question.tolerance) {
+    return { status: NUMERIC_RESULT.WRONG_VALUE, parsed };
+  }
+
+  if (question.sigFigs && (question.sigFigs < parsed.sigFigs.min || question.sigFigs > parsed.sigFigs.max)) {
+    return { status: NUMERIC_RESULT.WRONG_SIG_FIGS, parsed };
+  }
+
+  return { status: NUMERIC_RESULT.CORRECT, parsed };
+};
+
+/**
+ * 正解の表示用文字列 (有効数字が指定されていればその桁数で丸める)
+ */
+export const formatCorrectValue = (question) => {
+  const value = question.sigFigs
+    ? formatWithSigFigs(question.correctValue, question.sigFigs)
+    : String(question.correctValue);
+  return question.unit ? `${value} ${question.unit}` : value;
+};
+
+const formatWithSigFigs = (value, sigFigs) => {
+  const exponent = value === 0 ? 0 : Math.floor(Math.log10(Math.abs(value)));
+  // 整数部が有効数字の桁数を超える値や小さすぎる値は ×10^n 表記にする
+  if (exponent < -3 || exponent >= sigFigs) {
+    const [mantissa, exp] = value.toExponential(sigFigs - 1).split('e');
+    return `${mantissa}×10^${parseInt(exp, 10)}`;
+  }
+  return value.toPrecision(sigFigs);
+};
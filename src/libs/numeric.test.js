@@ -0,0 +1,106 @@
+import { describe, expect, test } from 'vitest';
+import { countSigFigs, parseNumericAnswer, gradeNumeric, formatCorrectValue, NUMERIC_RESULT } from './numeric';
+
+describe('countSigFigs', () => {
+  test('先頭の 0 は数えない', () => {
+    expect(countSigFigs('0.0012')).toEqual({ min: 2, max: 2 });
+    expect(countSigFigs('-0.50')).toEqual({ min: 2, max: 2 });
+  });
+
+  test('小数点がある数の末尾の 0 は有効数字', () => {
+    expect(countSigFigs('2.50')).toEqual({ min: 3, max: 3 });
+    expect(countSigFigs('1200.')).toEqual({ min: 4, max: 4 });
+    expect(countSigFigs('0.0120')).toEqual({ min: 3, max: 3 });
+  });
+
+  test('小数点のない数の末尾の 0 は有効数字かどうか曖昧', () => {
+    expect(countSigFigs('1200')).toEqual({ min: 2, max: 4 });
+    expect(countSigFigs('1050')).toEqual({ min: 3, max: 4 });
+    expect(countSigFigs('7')).toEqual({ min: 1, max: 1 });
+  });
+
+  test('0 だけの数', () => {
+    expect(countSigFigs('0')).toEqual({ min: 1, max: 1 });
+  });
+});
+
+describe('parseNumericAnswer', () => {
+  test('指数表記', () => {
+    for (const text of ['1.6e-3', '1.6E-3', '1.6×10^-3', '1.6x10^(-3)', '1.6×10⁻³', '1.6 * 10^-3']) {
+      expect(parseNumericAnswer(text).value).toBeCloseTo(1.6e-3, 12);
+    }
+  });
+
+  test('有効数字は仮数部で数える', () => {
+    expect(parseNumericAnswer('1.20×10^3')).toMatchObject({ value: 1200, sigFigs: { min: 3, max: 3 } });
+  });
+
+  test('全角数字・マイナス記号と単位', () => {
+    expect(parseNumericAnswer('−２.８')).toMatchObject({ value: -2.8, unit: '' });
+    expect(parseNumericAnswer('0.10 mol/L')).toMatchObject({ value: 0.1, unit: 'mol/L' });
+  });
+
+  test('数値で始まらなければ null', () => {
+    expect(parseNumericAnswer('約2.8')).toBeNull();
+    expect(parseNumericAnswer('')).toBeNull();
+    expect(parseNumericAnswer(undefined)).toBeNull();
+  });
+});
+
+describe('gradeNumeric', () => {
+  const question = { correctValue: 2.78, tolerance: 0.05, unit: '' };
+
+  test('許容誤差の範囲なら正解', () => {
+    expect(gradeNumeric(question, '2.8').status).toBe(NUMERIC_RESULT.CORRECT);
+    expect(gradeNumeric(question, '2.74').status).toBe(NUMERIC_RESULT.CORRECT);
+    expect(gradeNumeric(question, '2.9').status).toBe(NUMERIC_RESULT.WRONG_VALUE);
+  });
+
+  test('未解答・解釈できない解答', () => {
+    expect(gradeNumeric(question, '  ').status).toBe(NUMERIC_RESULT.UNANSWERED);
+    expect(gradeNumeric(question, 'abc').status).toBe(NUMERIC_RESULT.INVALID);
+    expect(gradeNumeric(question, '2.8 g').status).toBe(NUMERIC_RESULT.INVALID);
+  });
+
+  test('有効数字', () => {
+    const sigFigs = { correctValue: 1200, tolerance: 1, sigFigs: 3, unit: '' };
+    expect(gradeNumeric(sigFigs, '1.20×10^3').status).toBe(NUMERIC_RESULT.CORRECT);
+    expect(gradeNumeric(sigFigs, '1.2×10^3').status).toBe(NUMERIC_RESULT.WRONG_SIG_FIGS);
+    // 小数点のない 1200 は 2〜4 桁のどれとも読めるので正解にする
+    expect(gradeNumeric(sigFigs, '1200').status).toBe(NUMERIC_RESULT.CORRECT);
+    expect(gradeNumeric(sigFigs, '1200.').status).toBe(NUMERIC_RESULT.WRONG_SIG_FIGS);
+  });
+
+  test('単位を求める問題', () => {
+    const withUnit = { correctValue: 0.1, tolerance: 0.005, unit: 'mol/L', requireUnit: true, unitAliases: ['mol·L⁻¹'] };
+    expect(gradeNumeric(withUnit, '0.10 mol/L').status).toBe(NUMERIC_RESULT.CORRECT);
+    expect(gradeNumeric(withUnit, '0.10 mol·L⁻¹').status).toBe(NUMERIC_RESULT.CORRECT);
+    // 空白・中黒・^ の有無は区別しない
+    expect(gradeNumeric(withUnit, '0.10 mol L^-1').status).toBe(NUMERIC_RESULT.CORRECT);
+    expect(gradeNumeric(withUnit, '0.10 mol').status).toBe(NUMERIC_RESULT.WRONG_UNIT);
+    expect(gradeNumeric(withUnit, '0.10').status).toBe(NUMERIC_RESULT.WRONG_UNIT);
+  });
+
+  test('単位を求めない問題でも、表示されている単位を書き添えるのはよい', () => {
+    const shown = { correctValue: 0.1, tolerance: 0.005, unit: 'mol/L' };
+    expect(gradeNumeric(shown, '0.10').status).toBe(NUMERIC_RESULT.CORRECT);
+    expect(gradeNumeric(shown, '0.10 mol/L').status).toBe(NUMERIC_RESULT.CORRECT);
+    expect(gradeNumeric(shown, '0.10 g').status).toBe(NUMERIC_RESULT.INVALID);
+  });
+});
+
+describe('formatCorrectValue', () => {
+  test('有効数字の桁数で丸める', () => {
+    expect(formatCorrectValue({ correctValue: 2.7812, sigFigs: 2, unit: '' })).toBe('2.8');
+    expect(formatCorrectValue({ correctValue: 0.5, sigFigs: 3, unit: 'mol' })).toBe('0.500 mol');
+  });
+
+  test('桁の大きい値・小さい値は ×10^n 表記', () => {
+    expect(formatCorrectValue({ correctValue: 1200, sigFigs: 2, unit: '' })).toBe('1.2×10^3');
+    expect(formatCorrectValue({ correctValue: 1.8e-5, sigFigs: 2, unit: '' })).toBe('1.8×10^-5');
+  });
+
+  test('有効数字の指定がなければそのまま', () => {
+    expect(formatCorrectValue({ correctValue: 1.5, unit: 'g' })).toBe('1.5 g');
+  });
+});
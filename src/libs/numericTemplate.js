@@ -0,0 +1,133 @@
+import { parseExpression, evaluateExpression, expressionVariables } from './expression';
+import { createRandom, deriveSeed } from './random';
+
+/**
+ * --- NUMERIC TEMPLATES ---
+ * 数値問題のテンプレート。出題のたびに変数へ新しい値を入れ、正解を式から計算する。
+ *
+ *   "variables": {
+ *     "c":  { "min": 0.05, "max": 0.20, "step": 0.01 },   min〜max を step 刻み
+ *     "Ka": { "values": [1.8e-5, 2.7e-5] }                候補から1つ
+ *   },
+ *   "formula": "-log10(sqrt(c*Ka))"                        correctValue の代わり
+ *
+ * 問題文・解説の {{式}} は値に置き換わる。{{式|3}} は有効数字3桁。
+ * 値は LaTeX (例: 2.7 \times 10^{-5}) で埋め込まれるので、指数表記になりうるものは $...$ の中に書く。
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{([^{}|]+)(?:\|(\d+))?\}\}/g;
+
+export const isTemplate = (question) => question.type === 'numeric' && Boolean(question.formula);
+
+// step の小数点以下の桁数 (0.01 → 2)。生成した値の浮動小数点誤差を丸めるのに使う
+const decimalsOf = (step) => {
+  const [mantissa, exponent] = step.toExponential().split('e');
+  const fraction = (mantissa.split('.')[1] || '').length;
+  return Math.max(0, fraction - parseInt(exponent, 10));
+};
+
+/**
+ * 変数の値を1組生成する
+ * @returns {Record<string, number>}
+ */
+export const generateVariables = (question, random = Math.random) => {
+  const values = {};
+  for (const [name, spec] of Object.entries(question.variables || {})) {
+    if (spec.values) {
+      values[name] = spec.values[Math.floor(random() * spec.values.length)];
+    } else {
+      const steps = Math.floor((spec.max - spec.min) / spec.step + 1e-9);
+      const k = Math.floor(random() * (steps + 1));
+      values[name] = Number((spec.min + k * spec.step).toFixed(decimalsOf(spec.step)));
+    }
+  }
+  return values;
+};
+
+/**
+ * 数値を LaTeX で表す。sigFigs を省略すると値をそのまま (最短の表記で) 使う
+ * 10000 以上 (有効数字指定時は整数部が桁数を超えるもの) と 0.01 未満は a \times 10^{n} にする
+ */
+export const formatTemplateNumber = (value, sigFigs) => {
+  if (!Number.isFinite(value)) return String(value);
+  const exponent = value === 0 ? 0 : Math.floor(Math.log10(Math.abs(value)));
+  const scientific = exponent < -2 || exponent >= (sigFigs || 4);
+  if (scientific) {
+    const [mantissa, exp] = (sigFigs ? value.toExponential(sigFigs - 1) : value.toExponential()).split('e');
+    return `${mantissa} \\times 10^{${parseInt(exp, 10)}}`;
+  }
+  return sigFigs ? value.toPrecision(sigFigs) : String(value);
+};
+
+// 出題された値の表示用テキスト (例: "$c = 0.12$、$Ka = 2.7 \times 10^{-5}$")。LatexText で描画する
+export const formatVariant = (variant) => Object.entries(variant)
+  .map(([name, value]) => `$${name} = ${formatTemplateNumber(value)}$`).join('、');
+
+// テキスト中の {{式}} を値で置き換える
+export const fillTemplate = (text, values) => text && text.replace(PLACEHOLDER_PATTERN, (_, expr, sigFigs) =>
+  formatTemplateNumber(evaluateExpression(parseExpression(expr), values), sigFigs ? parseInt(sigFigs, 10) : undefined)
+);
+
+/**
+ * テンプレートに値を入れた問題を返す (テンプレートでなければそのまま)
+ * 生成した値は variant として残し、履歴・再開時に同じ問題を再現できるようにする
+ */
+export const instantiateQuestion = (question, values) => {
+  if (!isTemplate(question) || !values) return question;
+  return {
+    ...question,
+    question: fillTemplate(question.question, values),
+    generalExplanation: fillTemplate(question.generalExplanation, values),
+    correctValue: evaluateExpression(parseExpression(question.formula), values),
+    variant: values
+  };
+};
+
+/**
+ * 出題する問題を用意する (テンプレート問題なら値を入れる)
+ * seed が同じなら共有リンクや印刷用プリントでも同じ値になる。問題ごとにシードを分けるので、どの順に読み込んでも値は変わらない
+ * variants は中断前に出題された値 (Key: 問題ID)
+ */
+export const prepareQuestion = (question, seed, variants = {}) => {
+  if (!isTemplate(question)) return question;
+  const random = Number.isInteger(seed) ? createRandom(deriveSeed(seed, question.id)) : Math.random;
+  return instantiateQuestion(question, variants[question.id] || generateVariables(question, random));
+};
+
+/**
+ * テンプレートの誤りを調べる (スキーマ検証用)。誤りがなければ空配列
+ * 式・{{}} の中の変数が定義されているか、変数の範囲の両端で正解が有限の値になるかを確認する
+ */
+export const validateTemplate = (question) => {
+  const errors = [];
+  const names = new Set(Object.keys(question.variables || {}));
+  const checkExpression = (expr, where) => {
+    try {
+      const ast = parseExpression(expr);
+      const unknown = [...expressionVariables(ast)].filter(name => !names.has(name));
+      if (unknown.length > 0) errors.push(`${where}: 未定義の変数 ${unknown.join(', ')}`);
+      return unknown.length === 0 ? ast : null;
+    } catch (e) {
+      errors.push(`${where}: ${e.message}`);
+      return null;
+    }
+  };
+
+  const formula = checkExpression(question.formula, 'formula');
+  for (const field of ['question', 'generalExplanation']) {
+    for (const [, expr] of (question[field] || '').matchAll(PLACEHOLDER_PATTERN)) {
+      checkExpression(expr, `${field} の {{${expr}}}`);
+    }
+  }
+
+  if (formula) {
+    const pick = (end) => Object.fromEntries(Object.entries(question.variables).map(([name, spec]) =>
+      [name, spec.values ? spec.values[end === 'min' ? 0 : spec.values.length - 1] : spec[end]]
+    ));
+    for (const end of ['min', 'max']) {
+      const value = evaluateExpression(formula, pick(end));
+      if (!Number.isFinite(value)) errors.push(`formula: 変数が ${end} のとき値が ${value} になります`);
+    }
+  }
+  return errors;
+};
@@ -0,0 +1,101 @@
+import { describe, expect, test } from 'vitest';
+import {
+  isTemplate, generateVariables, formatTemplateNumber, formatVariant, fillTemplate, prepareQuestion, validateTemplate
+} from './numericTemplate';
+import { createRandom } from './random';
+
+const template = {
+  id: 201,
+  type: 'numeric',
+  question: '$c = {{c}}$ mol/L の酢酸 ($K_a = {{Ka}}$) の pH は?',
+  generalExplanation: '$[\\text{H}^+] = {{sqrt(c*Ka)|2}}$',
+  variables: {
+    c: { min: 0.05, max: 0.2, step: 0.01 },
+    Ka: { values: [1.8e-5, 2.7e-5] }
+  },
+  formula: '-log10(sqrt(c*Ka))',
+  tolerance: 0.05
+};
+
+describe('generateVariables', () => {
+  test('min〜max を step 刻み (浮動小数点誤差は丸める)', () => {
+    const random = createRandom(1);
+    for (let i = 0; i < 50; i++) {
+      const { c, Ka } = generateVariables(template, random);
+      expect(c).toBeGreaterThanOrEqual(0.05);
+      expect(c).toBeLessThanOrEqual(0.2);
+      expect(Number(c.toFixed(2))).toBe(c);
+      expect([1.8e-5, 2.7e-5]).toContain(Ka);
+    }
+  });
+
+  test('両端の値も出る', () => {
+    expect(generateVariables(template, () => 0).c).toBe(0.05);
+    expect(generateVariables(template, () => 0.9999).c).toBe(0.2);
+  });
+});
+
+describe('formatTemplateNumber', () => {
+  test('大きい値・小さい値は \\times 10^{n}', () => {
+    expect(formatTemplateNumber(2.7e-5)).toBe('2.7 \\times 10^{-5}');
+    expect(formatTemplateNumber(12000)).toBe('1.2 \\times 10^{4}');
+    expect(formatTemplateNumber(0.12)).toBe('0.12');
+  });
+
+  test('有効数字の指定', () => {
+    expect(formatTemplateNumber(2.8723, 3)).toBe('2.87');
+    expect(formatTemplateNumber(1234, 2)).toBe('1.2 \\times 10^{3}');
+    expect(formatTemplateNumber(0.5, 2)).toBe('0.50');
+  });
+});
+
+test('formatVariant', () => {
+  expect(formatVariant({ c: 0.12, Ka: 2.7e-5 })).toBe('$c = 0.12$、$Ka = 2.7 \\times 10^{-5}$');
+});
+
+test('fillTemplate', () => {
+  expect(fillTemplate('{{c}} と {{c*2|2}}', { c: 0.1 })).toBe('0.1 と 0.20');
+  expect(fillTemplate('', { c: 0.1 })).toBe('');
+});
+
+describe('prepareQuestion', () => {
+  test('テンプレートでなければそのまま', () => {
+    const plain = { id: 1, type: 'numeric', correctValue: 2.8 };
+    expect(isTemplate(plain)).toBe(false);
+    expect(prepareQuestion(plain, 123)).toBe(plain);
+  });
+
+  test('値を入れて正解を計算する', () => {
+    const q = prepareQuestion(template, 123);
+    const { c, Ka } = q.variant;
+    expect(q.correctValue).toBeCloseTo(-Math.log10(Math.sqrt(c * Ka)), 12);
+    expect(q.question).toContain(`$c = ${formatTemplateNumber(c)}$`);
+    expect(q.question).not.toContain('{{');
+  });
+
+  test('同じシードなら同じ値', () => {
+    expect(prepareQuestion(template, 123).variant).toEqual(prepareQuestion(template, 123).variant);
+  });
+
+  test('中断前の値があればそれを使う', () => {
+    const variant = { c: 0.1, Ka: 1.8e-5 };
+    expect(prepareQuestion(template, 123, { 201: variant }).variant).toEqual(variant);
+  });
+});
+
+describe('validateTemplate', () => {
+  test('誤りのないテンプレート', () => {
+    expect(validateTemplate(template)).toEqual([]);
+  });
+
+  test('未定義の変数 (Object のプロパティ名も変数として扱わない)', () => {
+    expect(validateTemplate({ ...template, formula: 'c * x' })).toEqual(['formula: 未定義の変数 x']);
+    expect(validateTemplate({ ...template, formula: 'constructor' })).toEqual(['formula: 未定義の変数 constructor']);
+    expect(validateTemplate({ ...template, question: '{{c + d}}' })).toEqual(['question の {{c + d}}: 未定義の変数 d']);
+  });
+
+  test('範囲の端で値が有限にならない式', () => {
+    const q = { ...template, variables: { c: { min: 0, max: 0.2, step: 0.01 } }, formula: '1 / c', question: '', generalExplanation: '' };
+    expect(validateTemplate(q)).toEqual(['formula: 変数が min のとき値が Infinity になります']);
+  });
+});
@@ -0,0 +1,75 @@
+import { createHash } from 'node:crypto';
+import { getCollection, type CollectionEntry } from 'astro:content';
+import { buildSearchIndex } from './search';
+
+/**
+ * 問題バンクの読み込み (ビルド時のみ)
+ * content collection から ChemApp に渡す形へ変換し、
+ * カテゴリ参照の整合性を検証する。
+ *
+ * ページに埋め込むのは索引 (questionIndex) だけで、問題本文は1問ずつ
+ * questions/<file> (src/pages/questions/[file].json.ts) として出力し、演習中に取得する。
+ * 全文検索の索引 (src/libs/search.js) も questions/<searchIndexFile> として出力する。
+ */
+
+export type Category = CollectionEntry<'categories'>['data'] & { id: string };
+export type QuestionData = CollectionEntry<'questions'>['data'];
+export interface QuestionIndexItem {
+  id: number;
+  cat: string;
+  sub: string;
+  difficulty: number;
+  tags: string[];
+  // 問題本文の JSON (questions/ からの相対パス)。内容のハッシュを含むので、問題を編集すると変わる
+  file: string;
+}
+
+export interface QuestionBank {
+  categories: Category[];
+  questionIndex: QuestionIndexItem[];
+  questionDetails: Record<number, QuestionData>;
+  // 問題データの内容から作るハッシュ。問題を編集すると変わる (中断した演習の破棄判定に使う)
+  bankVersion: string;
+  searchIndex: ReturnType<typeof buildSearchIndex>;
+  // 検索用の索引の JSON (questions/ からの相対パス)
+  searchIndexFile: string;
+}
+
+export async function loadQuestionBank(): Promise<QuestionBank> {
+  const categories = (await getCollection('categories')).map(entry => ({ id: entry.id, ...entry.data }));
+  const entries = await getCollection('questions');
+
+  const errors: string[] = [];
+  const questionIndex: QuestionIndexItem[] = [];
+  const questionDetails: Record<number, QuestionData> = {};
+
+  for (const entry of entries) {
+    const id = Number(entry.id);
+    const { cat, sub, difficulty, tags } = entry.data;
+    const category = categories.find(c => c.id === cat);
+
+    if (!Number.isInteger(id)) {
+      errors.push(`questions/${entry.id}: ファイル名は数値の問題IDにしてください`);
+    } else if (!category) {
+      errors.push(`questions/${entry.id}: カテゴリ "${cat}" は categories.json に存在しません`);
+    } else if (!category.subcategories.some(s => s.id === sub)) {
+      errors.push(`questions/${entry.id}: サブカテゴリ "${sub}" はカテゴリ "${cat}" に存在しません`);
+    } else {
+      const contentHash = createHash('sha256').update(JSON.stringify(entry.data)).digest('hex').slice(0, 8);
+      questionIndex.push({ id, cat, sub, difficulty, tags, file: `${id}.${contentHash}.json` });
+      questionDetails[id] = entry.data;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`問題データに誤りがあります:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  questionIndex.sort((a, b) => a.id - b.id);
+  const bankVersion = createHash('sha256')
+    .update(JSON.stringify({ categories, questionIndex, questionDetails }))
+    .digest('hex')
+    .slice(0, 12);
+  const searchIndex = buildSearchIndex(questionIndex.map(({ id }) => ({ id, ...questionDetails[id] })));
+  return { categories, questionIndex, questionDetails, bankVersion, searchIndex, searchIndexFile: `search.${bankVersion}.json` };
+}
@@ -0,0 +1,240 @@
+import { z } from 'astro/zod';
+import { questionSchema } from './questionSchema';
+
+/**
+ * --- QUESTION DRAFTS ---
+ * 問題作成ページ (/author) で編集中の問題。中身は src/content/questions/<id>.json と同じ形で、
+ * そのまま書き出せば問題バンクに追加できる。検証はビルドと同じスキーマ (src/libs/questionSchema.ts) で行う。
+ */
+
+export const QUESTION_TYPES = [
+  { value: 'selection', label: '選択' },
+  { value: 'numeric', label: '数値' },
+  { value: 'structure', label: '構造式' },
+  { value: 'equation', label: '反応式' },
+  { value: 'text', label: '語句' },
+  { value: 'matching', label: '組み合わせ' },
+  { value: 'ordering', label: '並べ替え' }
+];
+
+const emptyOption = () => ({ text: '', explanation: '' });
+
+// タイプごとの固有フィールドの初期値
+const TYPE_DEFAULTS = {
+  selection: () => ({ maxSelect: 1, options: [emptyOption(), emptyOption()], answers: [], scoring: 'all_or_nothing' }),
+  numeric: () => ({ correctValue: undefined, variables: {}, formula: undefined, tolerance: 0, sigFigs: undefined, unit: '', requireUnit: false, unitAliases: [] }),
+  structure: () => ({ targetFormula: [] }),
+  equation: () => ({ equation: '', inputMode: 'coefficients' }),
+  text: () => ({ acceptedAnswers: [''] }),
+  matching: () => ({ left: ['', ''], right: ['', ''], pairs: [0, 1], scoring: 'all_or_nothing' }),
+  ordering: () => ({ items: ['', ''] })
+};
+
+const BASE_FIELDS = ['type', 'cat', 'sub', 'difficulty', 'tags', 'question', 'figures', 'generalExplanation', 'explanationFigures'];
+
+export const createDraft = (type, base = {}) => ({
+  type,
+  cat: base.cat ?? '',
+  sub: base.sub ?? '',
+  difficulty: base.difficulty ?? 1,
+  tags: base.tags ?? [],
+  question: base.question ?? '',
+  figures: base.figures ?? [],
+  ...TYPE_DEFAULTS[type](),
+  generalExplanation: base.generalExplanation ?? '',
+  explanationFigures: base.explanationFigures ?? []
+});
+
+// 問題タイプを変える (共通フィールドは残す)
+export const changeType = (draft, type) => createDraft(type, draft);
+
+// 既定値と同じフィールドは書き出さない (既存の問題ファイルと同じ書き方にする)
+const isOmitted = (key, value) =>
+  value === undefined
+  || (Array.isArray(value) && value.length === 0 && key !== 'answers' && key !== 'targetFormula')
+  || (key === 'variables' && Object.keys(value).length === 0)
+  || (key === 'scoring' && value === 'all_or_nothing')
+  || (key === 'inputMode' && value === 'coefficients')
+  || (key === 'requireUnit' && value === false);
+
+/**
+ * 書き出す JSON のオブジェクト (フィールドの順は既存の問題ファイルに合わせる)
+ */
+export const toEntry = (draft) => {
+  const typeFields = Object.keys(TYPE_DEFAULTS[draft.type]());
+  const order = ['type', 'cat', 'sub', 'difficulty', 'tags', 'question', 'figures', ...typeFields, 'generalExplanation', 'explanationFigures'];
+  const entry = {};
+  for (const key of order) {
+    let value = draft[key];
+    if (key === 'options') {
+      value = value.map(({ text, explanation, figure }) => ({
+        text,
+        ...(explanation && { explanation }),
+        ...(figure && { figure })
+      }));
+    }
+    if (key === 'figures' || key === 'explanationFigures') {
+      value = value.map(({ src, alt, caption }) => ({ src, alt, ...(caption && { caption }) }));
+    }
+    if (key !== 'generalExplanation' && isOmitted(key, value)) continue;
+    entry[key] = value;
+  }
+  return entry;
+};
+
+// 小さい数は指数表記で書く (0.000018 → 1.8e-5)
+const formatValue = (value) => typeof value === 'number' && value !== 0 && Math.abs(value) < 1e-3
+  ? value.toExponential()
+  : JSON.stringify(value);
+
+const isPrimitive = (value) => typeof value !== 'object' || value === null;
+
+// 数値・文字列だけの短い配列・オブジェクトは1行にまとめる (例: "acceptedAnswers": ["水素", "H2"])
+const stringify = (value, indent) => {
+  const pad = '  '.repeat(indent);
+  const inner = '  '.repeat(indent + 1);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    const inline = `[${value.map(formatValue).join(', ')}]`;
+    if (value.every(isPrimitive) && inline.length <= 80) return inline;
+    return `[\n${value.map(v => inner + stringify(v, indent + 1)).join(',\n')}\n${pad}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    const inline = `{ ${entries.map(([k, v]) => `${JSON.stringify(k)}: ${stringify(v, indent + 1)}`).join(', ')} }`;
+    if (entries.every(([, v]) => isPrimitive(v) || (Array.isArray(v) && v.every(isPrimitive))) && inline.length <= 60 && !inline.includes('\n')) {
+      return inline;
+    }
+    return `{\n${entries.map(([k, v]) => `${inner}${JSON.stringify(k)}: ${stringify(v, indent + 1)}`).join(',\n')}\n${pad}}`;
+  }
+  return formatValue(value);
+};
+
+export const formatEntryJson = (draft) => `${stringify(toEntry(draft), 0)}\n`;
+
+/**
+ * 問題ファイルの JSON を読み込んで下書きにする (省略されたフィールドは既定値で補う)
+ * @throws {Error} JSON として読めない・問題タイプが不明な場合
+ */
+export const parseEntryJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`JSON として読み込めません: ${e.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('問題1問分のオブジェクトではありません');
+  if (!TYPE_DEFAULTS[data.type]) throw new Error(`不明な問題タイプです: ${data.type}`);
+  const draft = { ...createDraft(data.type), ...data };
+  const withCaption = (figure) => ({ caption: '', ...figure });
+  draft.figures = draft.figures.map(withCaption);
+  draft.explanationFigures = draft.explanationFigures.map(withCaption);
+  if (draft.type === 'selection') {
+    draft.options = draft.options.map(option => ({
+      ...emptyOption(),
+      ...option,
+      ...(option.figure && { figure: withCaption(option.figure) })
+    }));
+  }
+  return draft;
+};
+
+// スキーマ (src/libs/questionSchema.ts) の検査。図の src は書き出す前はまだ画像として解決できないので文字列として扱う
+const entrySchema = questionSchema({ image: () => z.string() });
+
+// zod の既定のメッセージ (英語) を日本語にする。refine で指定したメッセージはそのまま使われる
+const errorMap = (issue, ctx) => {
+  switch (issue.code) {
+    case z.ZodIssueCode.too_small:
+      if (issue.type === 'string') return { message: '空欄です' };
+      if (issue.type === 'array') return { message: `${issue.minimum} 個以上必要です` };
+      return { message: `${issue.minimum} ${issue.inclusive ? '以上' : 'より大きい値'}にしてください` };
+    case z.ZodIssueCode.too_big:
+      return { message: `${issue.maximum} 以下にしてください` };
+    case z.ZodIssueCode.invalid_type:
+      return { message: issue.expected === 'number' ? '数値を入力してください' : '入力してください' };
+    case z.ZodIssueCode.not_finite:
+    case z.ZodIssueCode.not_multiple_of:
+      return { message: '数値を入力してください' };
+    case z.ZodIssueCode.invalid_string:
+      return { message: '使えない文字が含まれています' };
+    default:
+      return { message: ctx.defaultError };
+  }
+};
+
+/**
+ * 下書きの誤りを調べる。誤りがなければ空配列
+ * 書き出す JSON をビルドと同じスキーマで検査し、スキーマでは分からない下書き固有の誤り
+ * (カテゴリの選択・図のファイルの指定・未選択の組み合わせ) を加える
+ * @returns {{ path: string, message: string }[]} path はフィールド名 (例: "options.0.text")
+ */
+export const validateDraft = (draft, categories) => {
+  const errors = [];
+  const add = (path, message) => errors.push({ path, message });
+
+  const category = categories.find(c => c.id === draft.cat);
+  if (!category) add('cat', 'カテゴリを選択してください');
+  else if (!category.subcategories.some(s => s.id === draft.sub)) add('sub', 'サブカテゴリを選択してください');
+  const checkFigures = (figures, path) => figures.forEach((figure, i) => {
+    if (!figure.src) add(`${path}.${i}.src`, '図のファイルを指定してください');
+  });
+  checkFigures(draft.figures, 'figures');
+  checkFigures(draft.explanationFigures, 'explanationFigures');
+  if (draft.type === 'selection') {
+    draft.options.forEach((option, i) => option.figure && checkFigures([option.figure], `options.${i}.figure`));
+  }
+  if (draft.type === 'matching' && draft.pairs.some(p => p === null || p === undefined)) {
+    add('pairs', 'すべての左の項目に対応する右の項目を選んでください');
+  }
+
+  // 上で報告した箇所についてのスキーマの誤りは重ねて出さない
+  const reported = errors.map(e => e.path);
+  const result = entrySchema.safeParse(toEntry(draft), { errorMap });
+  for (const issue of result.success ? [] : result.error.issues) {
+    const path = issue.path.join('.');
+    if (!reported.some(p => path === p || path.startsWith(`${p}.`))) add(path, issue.message);
+  }
+  return errors;
+};
+
+// 問題タイプ固有のフィールドの誤りか (あると解答欄のプレビューが描画できない)
+export const isAnswerFieldError = (error) => !BASE_FIELDS.includes(error.path.split('.')[0]);
+
+// 作成途中の問題はブラウザに保存しておく (再読み込みしても消えないように)
+const STORAGE_KEY = 'chemreview:author-draft';
+
+export const saveDraft = (id, draft) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ id, draft }));
+  } catch (e) {
+    console.error("Failed to save draft", e);
+  }
+};
+
+// 保存された下書き ({ id, draft })。無ければ null
+export const loadDraft = () => {
+  if (typeof localStorage === 'undefined') return null;
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return saved && saved.draft && TYPE_DEFAULTS[saved.draft.type] ? saved : null;
+  } catch (e) {
+    console.error("Failed to load draft", e);
+    return null;
+  }
+};
+
+/**
+ * 新しい問題の ID の候補: 同じカテゴリの問題の最大 ID + 1
+ * (カテゴリに問題がなければ、次の百の位から始める。例: 最大が 302 なら 401)
+ */
+export const suggestId = (questionIndex, cat) => {
+  const ids = questionIndex.map(q => q.id);
+  const sameCategory = questionIndex.filter(q => q.cat === cat).map(q => q.id);
+  let id = sameCategory.length > 0
+    ? Math.max(...sameCategory) + 1
+    : (Math.floor(Math.max(0, ...ids) / 100) + 1) * 100 + 1;
+  while (ids.includes(id)) id++;
+  return id;
+};
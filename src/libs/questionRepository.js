@@ -0,0 +1,201 @@
+import { createRandom, shuffle } from './random';
+import { sortByReviewPriority } from './scheduler';
+import { searchIndex } from './search';
+import { pageDirectory } from './siteUrl';
+
+/**
+ * --- REPOSITORY ---
+ * 問題の選出 (ページに埋め込まれた索引だけで行う) と、問題本文の取得。
+ * 本文はビルド時に1問ずつ questions/<file> として出力されている (src/pages/questions/[file].json.ts)。
+ * 図の src は問題ファイルからの相対パスで書かれているので、取得時に URL へ解決する。
+ *
+ * - 取得に失敗したら間隔を空けて再試行する (404 などの再試行しても変わらない失敗は除く)
+ * - 取得した問題は件数上限付きの LRU キャッシュに保持する
+ * - 同じ問題を取得中に再度要求された場合は、同じリクエストの結果を共有する
+ * - 全文検索の索引 (src/libs/search.js) は最初に検索したときに取得する
+ */
+
+export class QuestionFetchError extends Error {}
+
+// 問題ファイルの置き場所 (ページのディレクトリからの相対パス)。ページは <サイト>/<ページ名>/ に出力されるので、
+// サブパスに公開しても (astro-relative-links) 同じ階層の questions/ を指す
+const DEFAULT_BASE_URL = '../questions/';
+const RETRY_DELAY = 500; // [ms] 再試行のたびに倍にする
+
+// サーバー側の一時的な失敗 (タイムアウト・混雑・5xx) か
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 問題ファイル中の図の src は問題ファイルからの相対パスなので、ページから参照できる絶対 URL にする
+const resolveFigures = (question, fileUrl) => {
+  const resolveFigure = (figure) => ({ ...figure, src: { ...figure.src, src: new URL(figure.src.src, fileUrl).toString() } });
+  return {
+    ...question,
+    figures: (question.figures || []).map(resolveFigure),
+    explanationFigures: (question.explanationFigures || []).map(resolveFigure),
+    ...(question.options && { options: question.options.map(o => o.figure ? { ...o, figure: resolveFigure(o.figure) } : o) })
+  };
+};
+
+export class QuestionRepository {
+  /**
+   * @param {object} options
+   * @param {string} [options.baseUrl] 問題ファイルの置き場所 (ページのディレクトリからの相対パスか絶対 URL)
+   * @param {number} [options.cacheSize] キャッシュする問題数の上限
+   * @param {number} [options.retries] 失敗時の再試行回数
+   * @param {string} [options.searchIndexFile] 全文検索の索引のファイル名 (baseUrl からの相対パス)
+   */
+  constructor(categories, index, { baseUrl = DEFAULT_BASE_URL, cacheSize = 50, retries = 2, searchIndexFile } = {}) {
+    this.categories = categories;
+    this.index = index;
+    this.baseUrl = baseUrl;
+    this.searchIndexFile = searchIndexFile;
+    this.searchIndexRequest = null; // Promise (取得に失敗したら null に戻して次の検索で取得し直す)
+    this.cacheSize = cacheSize;
+    this.retries = retries;
+    // Map は挿入順を保つので、先頭が最も長く使われていない問題になる
+    this.cache = new Map();
+    // 取得中のリクエスト (Key: ID, Value: Promise)
+    this.pending = new Map();
+  }
+
+  /**
+   * 条件に基づいて問題IDを選出する (高速・軽量)
+   * - count: 出題数
+   * - difficulty: [最小, 最大] (1〜3)
+   * - order: 'random' | 'category' (カテゴリ順) | 'difficulty' (易しい順)
+   * - mode: 'random' (シャッフル) | 'review' (SM-2 スケジュール順, schedule が必要)
+   * - seed: 指定すると同じ条件から常に同じ問題が選ばれる (共有リンク用)
+   * 条件に合う問題が count に満たない場合は message に理由を返す
+   */
+  selectQuestionIds(subCategories, { count = 5, difficulty = [1, 3], order = 'random', mode = 'random', schedule, seed } = {}) {
+    const [minDifficulty, maxDifficulty] = difficulty;
+    const inScope = this.index.filter(q => subCategories.has(q.sub));
+    const random = Number.isInteger(seed) ? createRandom(seed) : Math.random;
+    let candidates = shuffle(inScope.filter(q => q.difficulty >= minDifficulty && q.difficulty <= maxDifficulty), random);
+    if (mode === 'review' && schedule) {
+      candidates = sortByReviewPriority(candidates, schedule);
+    }
+    const items = this.sortForPresentation(candidates.slice(0, count), order);
+
+    let message = null;
+    if (items.length === 0) {
+      message = inScope.length === 0
+        ? "選択されたカテゴリに該当する問題がありません。"
+        : `選択されたカテゴリには難易度 ${minDifficulty}〜${maxDifficulty} の問題がありません。`;
+    } else if (items.length < count) {
+      message = `条件に合う問題が ${items.length} 問しかないため、${count} 問ではなく ${items.length} 問で出題します。`;
+    }
+    return { items, message };
+  }
+
+  sortForPresentation(items, order) {
+    if (order === 'difficulty') {
+      return [...items].sort((a, b) => a.difficulty - b.difficulty);
+    }
+    if (order === 'category') {
+      const subOrder = this.categories.flatMap(c => c.subcategories.map(s => s.id));
+      return [...items].sort((a, b) => subOrder.indexOf(a.sub) - subOrder.indexOf(b.sub));
+    }
+    return items;
+  }
+
+  /**
+   * 索引の項目に対応する問題を取得する (索引のメタデータ + 問題本文)
+   * @throws {QuestionFetchError} 再試行しても取得できなかった場合
+   */
+  async fetchQuestion(item) {
+    const cached = this.cache.get(item.id);
+    if (cached) {
+      // 使ったものを末尾 (最も新しい側) へ移す
+      this.cache.delete(item.id);
+      this.cache.set(item.id, cached);
+      return cached;
+    }
+    if (!this.pending.has(item.id)) {
+      const request = this.download(item)
+        .then(question => {
+          this.remember(question);
+          return question;
+        })
+        .finally(() => this.pending.delete(item.id));
+      this.pending.set(item.id, request);
+    }
+    return this.pending.get(item.id);
+  }
+
+  /**
+   * 複数の問題を取得する (並べ順は indexItems のまま)
+   * @throws {QuestionFetchError} 1問でも取得できなかった場合
+   */
+  fetchQuestionsByIds(indexItems) {
+    return Promise.all(indexItems.map(item => this.fetchQuestion(item)));
+  }
+
+  async download(item) {
+    const { file, ...meta } = item;
+    const question = await this.fetchJson(file, `問題 ${item.id} を`);
+    return { ...meta, ...resolveFigures(question, this.resolve(file)) };
+  }
+
+  /**
+   * 全文検索とタグで問題を絞り込む
+   * - query: 問題文・選択肢・解説・タグの全文検索 (空ならタグだけで絞り込む)
+   * - tags: すべてを持つ問題だけに絞る
+   * @returns {Promise<object[]>} 索引の項目。query があれば関連度順、なければ ID 順
+   * @throws {QuestionFetchError} 検索の索引を取得できなかった場合
+   */
+  async searchQuestions(query, tags = []) {
+    const tagged = this.index.filter(item => tags.every(tag => item.tags.includes(tag)));
+    if (!query.trim()) return tags.length > 0 ? tagged : [];
+    const index = await this.loadSearchIndex();
+    const byId = new Map(tagged.map(item => [item.id, item]));
+    return searchIndex(index, query).map(({ id }) => byId.get(id)).filter(Boolean);
+  }
+
+  // 検索結果に表示する問題文の冒頭 (ID → 文字列)
+  async getSnippets() {
+    return (await this.loadSearchIndex()).snippets;
+  }
+
+  loadSearchIndex() {
+    if (!this.searchIndexRequest) {
+      this.searchIndexRequest = this.fetchJson(this.searchIndexFile, '検索の索引を');
+      this.searchIndexRequest.catch(() => { this.searchIndexRequest = null; });
+    }
+    return this.searchIndexRequest;
+  }
+
+  // baseUrl からの相対パスの JSON を取得する (label はエラーメッセージの「…を取得できませんでした」の部分)
+  async fetchJson(file, label) {
+    const url = this.resolve(file);
+    for (let attempt = 0; ; attempt++) {
+      let retryable = true;
+      try {
+        const response = await fetch(url);
+        if (response.ok) return await response.json();
+        retryable = isRetryableStatus(response.status);
+        throw new QuestionFetchError(`${label}を取得できませんでした (HTTP ${response.status})`);
+      } catch (e) {
+        if (!retryable || attempt >= this.retries) {
+          throw e instanceof QuestionFetchError ? e : new QuestionFetchError(`${label}を取得できませんでした (${e.message})`);
+        }
+      }
+      await wait(RETRY_DELAY * 2 ** attempt);
+    }
+  }
+
+  // baseUrl からの相対パス → 絶対 URL (baseUrl が相対パスなら現在のページのディレクトリを基準にする。
+  // …/problems のように末尾のスラッシュが無い URL で開かれても同じ場所を指すように)
+  resolve(file) {
+    return new URL(`${this.baseUrl}${file}`, pageDirectory()).toString();
+  }
+
+  remember(question) {
+    this.cache.set(question.id, question);
+    while (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+}
@@ -0,0 +1,219 @@
+import { z } from 'astro/zod';
+import type { SchemaContext } from 'astro:content';
+import { parseEquation, checkBalance } from './equation';
+import { validateTemplate } from './numericTemplate';
+
+/**
+ * --- QUESTION SCHEMA ---
+ * カテゴリと問題のスキーマ。content collection (src/content.config.ts) と
+ * 問題バンクの検査 (scripts/lintQuestions.js) で同じものを使う。
+ */
+
+export const categorySchema = z.object({
+  name: z.string().min(1),
+  subcategories: z.array(z.object({
+    id: z.string().min(1),
+    name: z.string().min(1)
+  })).min(1)
+});
+
+/**
+ * 問題のスキーマ。図の画像は image() で検証・バンドルするため、SchemaContext を受け取って組み立てる
+ * (問題バンクの検査 scripts/lintQuestions.js では image() を src の文字列の検査に差し替えて使う)
+ */
+export const questionSchema = ({ image }: Pick<SchemaContext, 'image'>) => {
+  // 図 (装置図・滴定曲線・結晶格子など)。画像は問題の JSON と同じ場所 (figures/) に置き、JSON からの相対パスで指定する
+  const figure = z.object({
+    src: image(),
+    alt: z.string().min(1),
+    caption: z.string().default('')
+  });
+
+  // 全問題タイプ共通のメタデータ
+  const questionBase = z.object({
+    cat: z.string().min(1),
+    sub: z.string().min(1),
+    difficulty: z.number().int().min(1).max(3),
+    // 検索・絞り込み用のタグ (例: "ハロゲン", "ヘスの法則")
+    tags: z.array(z.string().trim().min(1)).default([])
+      .refine(tags => new Set(tags).size === tags.length, { message: 'タグが重複しています' }),
+    question: z.string().min(1),
+    generalExplanation: z.string().default(''),
+    // 問題文の下 / 解説の下に表示する図
+    figures: z.array(figure).default([]),
+    explanationFigures: z.array(figure).default([])
+  });
+
+  const selectionQuestion = questionBase.extend({
+    type: z.literal('selection'),
+    maxSelect: z.number().int().positive(),
+    options: z.array(z.object({
+      text: z.string().min(1),
+      explanation: z.string().default(''),
+      figure: figure.optional()
+    })).min(2),
+    answers: z.array(z.number().int().nonnegative()).min(1),
+    // 部分点の方式 (src/libs/grading.js 参照)
+    scoring: z.enum(['all_or_nothing', 'per_option', 'penalty']).default('all_or_nothing')
+  });
+
+  const numericQuestion = questionBase.extend({
+    type: z.literal('numeric'),
+    // テンプレートの場合は省略して formula で指定する
+    correctValue: z.number().optional(),
+    tolerance: z.number().nonnegative(),
+    // テンプレート: 出題のたびに値を変える変数 (src/libs/numericTemplate.js 参照)
+    variables: z.record(
+      z.string().regex(/^[A-Za-z_]\w*$/),
+      z.union([
+        z.object({ min: z.number(), max: z.number(), step: z.number().positive() }),
+        z.object({ values: z.array(z.number()).min(1) })
+      ])
+    ).default({}),
+    // テンプレートの正解を求める式 (例: "-log10(sqrt(c*Ka))")
+    formula: z.string().min(1).optional(),
+    // 要求する有効数字の桁数 (省略時は桁数を問わない)
+    sigFigs: z.number().int().positive().optional(),
+    unit: z.string().default(''),
+    // true のとき単位も解答させて採点する (unit は入力欄に表示しない)
+    requireUnit: z.boolean().default(false),
+    // unit と同じ意味として受け付ける表記 (例: "mol·L⁻¹")
+    unitAliases: z.array(z.string().min(1)).default([])
+  });
+
+  const structureQuestion = questionBase.extend({
+    type: z.literal('structure'),
+    // 正解として受け付ける SMILES (1構造につき1つ。採点時に RDKit で正規化して比較する)
+    targetFormula: z.array(z.string().min(1)).min(1)
+  });
+
+  const equationQuestion = questionBase.extend({
+    type: z.literal('equation'),
+    // 正解の反応式 (係数は最も簡単な整数比で書く。記法は src/libs/equation.js 参照)
+    equation: z.string().min(1),
+    // coefficients: 化学種を示して係数だけを答えさせる / equation: 反応式全体を書かせる
+    inputMode: z.enum(['coefficients', 'equation']).default('coefficients')
+  });
+
+  const textQuestion = questionBase.extend({
+    type: z.literal('text'),
+    // 正解として受け付ける表記 (全角・半角、カタカナ・ひらがな、化学式の書き方の違いは自動で吸収する)
+    acceptedAnswers: z.array(z.string().min(1)).min(1)
+  });
+
+  const matchingQuestion = questionBase.extend({
+    type: z.literal('matching'),
+    left: z.array(z.string().min(1)).min(2),
+    // 右列の候補 (どの左項目とも対応しない紛らわしい候補を含めてもよい)
+    right: z.array(z.string().min(1)).min(2),
+    // pairs[i] = left[i] に対応する right の添字
+    pairs: z.array(z.number().int().nonnegative()),
+    // per_option: 正しく対応づけた組の割合を部分点にする
+    scoring: z.enum(['all_or_nothing', 'per_option']).default('all_or_nothing')
+  });
+
+  const orderingQuestion = questionBase.extend({
+    type: z.literal('ordering'),
+    // 正しい順に並べて書く (出題時はシャッフルして表示する)
+    items: z.array(z.string().min(1)).min(2)
+  });
+
+  return z.discriminatedUnion('type', [
+    selectionQuestion,
+    numericQuestion,
+    structureQuestion,
+    equationQuestion,
+    textQuestion,
+    matchingQuestion,
+    orderingQuestion
+  ]).superRefine((q, ctx) => {
+    if (q.type === 'equation') {
+      try {
+        const balance = checkBalance(parseEquation(q.equation));
+        if (!balance.atoms || !balance.charge) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['equation'],
+            message: `反応式の${!balance.atoms ? '原子' : '電荷'}が釣り合っていません: ${q.equation}`
+          });
+        }
+      } catch (e) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['equation'],
+          message: e instanceof Error ? e.message : String(e)
+        });
+      }
+    }
+    if (q.type === 'numeric' && q.requireUnit && !q.unit) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['unit'],
+        message: 'requireUnit を指定する場合は unit が必要です'
+      });
+    }
+    if (q.type === 'numeric' && (q.correctValue === undefined) === (q.formula === undefined)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['correctValue'],
+        message: 'correctValue と formula のどちらか一方を指定してください'
+      });
+    }
+    if (q.type === 'numeric' && q.formula !== undefined) {
+      validateTemplate(q).forEach(message => ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['formula'],
+        message
+      }));
+    }
+    if (q.type === 'matching') {
+      if (q.pairs.length !== q.left.length) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['pairs'],
+          message: `pairs の数 ${q.pairs.length} が left の数 (${q.left.length}) と一致しません`
+        });
+      }
+      q.pairs.forEach((pair, i) => {
+        if (pair >= q.right.length) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['pairs', i],
+            message: `right ${pair} は存在しません (right は ${q.right.length} 個)`
+          });
+        }
+      });
+    }
+    if (q.type !== 'selection') return;
+    q.answers.forEach((answer, i) => {
+      if (answer >= q.options.length) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['answers', i],
+          message: `選択肢 ${answer} は存在しません (選択肢は ${q.options.length} 個)`
+        });
+      }
+    });
+    if (new Set(q.answers).size !== q.answers.length) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['answers'],
+        message: '正解の選択肢が重複しています'
+      });
+    }
+    if (q.maxSelect > q.options.length) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['maxSelect'],
+        message: `maxSelect (${q.maxSelect}) が選択肢の数 (${q.options.length}) を超えています`
+      });
+    }
+    if (q.answers.length > q.maxSelect) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['answers'],
+        message: `正解数 ${q.answers.length} が maxSelect (${q.maxSelect}) を超えています`
+      });
+    }
+  });
+};
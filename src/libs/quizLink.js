@@ -0,0 +1,74 @@
+import { siteUrl } from './siteUrl';
+
+/**
+ * --- QUIZ LINK ---
+ * 出題内容を /problems の URL クエリで共有する。
+ *
+ *   /problems?ids=201,101&subs=acid_base,redox&seed=12345&mode=random&time=30
+ *
+ * - ids : 出題する問題ID (この順に出題する)。指定があれば他の条件より優先
+ * - subs: 出題範囲のサブカテゴリ
+ * - seed: 問題の選出・シャッフルに使う乱数シード
+ * - mode: random | review
+ * - time: 試験モードの制限時間 (分)
+ *
+ * 印刷用プリント (/print) も同じクエリで問題を指定する (ids と seed だけを使う)。
+ */
+
+const MODES = ['random', 'review'];
+
+const parseList = (value) => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+export const encodeQuizLink = ({ ids = [], subCategories = [], seed, mode = 'random', timeLimit = 0 }) => {
+  const params = new URLSearchParams();
+  if (ids.length > 0) params.set('ids', ids.join(','));
+  const subs = [...subCategories];
+  if (subs.length > 0) params.set('subs', subs.join(','));
+  if (Number.isInteger(seed)) params.set('seed', String(seed));
+  params.set('mode', mode);
+  if (timeLimit > 0) params.set('time', String(timeLimit));
+  // カンマはエスケープしない方が読みやすい
+  return params.toString().replace(/%2C/g, ',');
+};
+
+// 現在のページ (/problems) への共有用の絶対 URL
+export const buildQuizUrl = (link) => {
+  const url = new URL(window.location.href);
+  url.search = encodeQuizLink(link);
+  url.hash = '';
+  return url.toString();
+};
+
+// 同じ問題・同じ値 (テンプレート問題) の印刷用プリントの URL
+// サブパスに公開してもよいように、現在のページ (<サイト>/problems/) と同じ階層の print/ を指す
+export const buildPrintUrl = ({ ids, seed }) => {
+  const url = siteUrl('print/');
+  url.search = encodeQuizLink({ ids, seed });
+  return url.toString();
+};
+
+/**
+ * URL クエリを読み取る。出題に関するパラメータがなければ null
+ */
+export const parseQuizLink = (search) => {
+  const params = new URLSearchParams(search);
+  if (!['ids', 'subs', 'seed'].some(key => params.has(key))) return null;
+
+  const ids = parseList(params.get('ids')).map(Number).filter(Number.isInteger);
+  const seed = Number(params.get('seed'));
+  const timeLimit = Number(params.get('time'));
+  return {
+    ids,
+    subCategories: parseList(params.get('subs')),
+    seed: params.has('seed') && Number.isInteger(seed) ? seed : null,
+    mode: MODES.includes(params.get('mode')) ? params.get('mode') : 'random',
+    timeLimit: Number.isInteger(timeLimit) && timeLimit > 0 ? Math.min(180, timeLimit) : 0
+  };
+};
+
+// 読み取り済みのクエリを URL から消す (再読み込みで同じ演習が始まり直さないように)
+export const clearQuizLink = () => {
+  const url = new URL(window.location.href);
+  url.search = '';
+  window.history.replaceState(null, '', url.toString());
+};
@@ -0,0 +1,43 @@
+/**
+ * --- RANDOM ---
+ * シード付き乱数 (mulberry32) とシャッフル
+ * 同じシードからは常に同じ並びが得られる。
+ */
+
+export const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates Shuffle
+export const shuffle = (items, random = Math.random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// URL などに載せやすい 31bit の整数シード
+export const randomSeed = () => Math.floor(Math.random() * 0x7fffffff);
+
+// シードと番号 (問題IDなど) から別のシードを作る。問題ごとに独立した乱数列にしたいときに使う
+export const deriveSeed = (seed, key) => createRandom((seed ^ Math.imul(key, 0x9E3779B1)) >>> 0)() * 0x7fffffff | 0;
+
+/**
+ * 問題の項目 (並べ替えの候補・組み合わせの右列) を表示する順 (添字の並び)
+ * 問題IDをシードにするので、演習画面と印刷用プリントの解答で同じ並びになる。
+ * シャッフルが元の並びのままになった場合は1つずらす (並べ替え問題が最初から解けている状態にしない)
+ */
+export const displayOrder = (length, id) => {
+  const order = shuffle([...Array(length).keys()], createRandom(id));
+  const unchanged = order.every((item, i) => item === i);
+  return unchanged && length > 1 ? [...order.slice(1), order[0]] : order;
+};
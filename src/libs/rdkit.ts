@@ -0,0 +1,72 @@
+import type { RDKitModule } from '@rdkit/rdkit';
+import initRDKit from './RDKit_minimal';
+import wasmUrl from '@rdkit/rdkit/dist/RDKit_minimal.wasm?url';
+
+/**
+ * RDKit (WebAssembly) の読み込みと SMILES の正規化
+ * wasm はビルド時にアセットとして同梱され、初回呼び出し時に一度だけ初期化される。
+ */
+
+declare global {
+  interface Window {
+    RDKit: RDKitModule
+  }
+}
+
+let loading: Promise<RDKitModule> | null = null;
+
+export const loadRDKit = (): Promise<RDKitModule> => {
+  if (typeof window !== 'undefined' && window.RDKit) return Promise.resolve(window.RDKit);
+  if (!loading) {
+    loading = (initRDKit({ locateFile: () => wasmUrl }) as Promise<RDKitModule>)
+      .then(RDKit => {
+        window.RDKit = RDKit;
+        return RDKit;
+      })
+      .catch(e => {
+        loading = null; // 次回呼び出し時に再試行する
+        throw e;
+      });
+  }
+  return loading;
+};
+
+export const isRDKitReady = () => typeof window !== 'undefined' && !!window.RDKit;
+
+/**
+ * SMILES を RDKit の正規 SMILES に変換する。
+ * 解釈できない場合や RDKit が未読み込みの場合は null。
+ */
+export const toCanonicalSmiles = (smiles: string): string | null => {
+  if (!isRDKitReady() || !smiles) return null;
+  const mol = window.RDKit.get_mol(smiles);
+  if (!mol) return null;
+  try {
+    return mol.is_valid() ? mol.get_smiles() : null;
+  } finally {
+    mol.delete();
+  }
+};
+
+/**
+ * 2つの SMILES が同一の分子を表すか (描画順・分岐順によらない)
+ */
+export const isSameStructure = (a: string, b: string): boolean => {
+  const canonicalA = toCanonicalSmiles(a);
+  return canonicalA !== null && canonicalA === toCanonicalSmiles(b);
+};
+
+/**
+ * SMILES の構造式を SVG 文字列で描く (印刷用プリントの解答など)
+ * 解釈できない場合や RDKit が未読み込みの場合は null。
+ */
+export const smilesToSvg = (smiles: string, width = 240, height = 160): string | null => {
+  if (!isRDKitReady() || !smiles) return null;
+  const mol = window.RDKit.get_mol(smiles);
+  if (!mol) return null;
+  try {
+    return mol.is_valid() ? mol.get_svg(width, height) : null;
+  } finally {
+    mol.delete();
+  }
+};
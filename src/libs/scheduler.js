@@ -0,0 +1,82 @@
+/**
+ * --- SPACED REPETITION (SM-2) ---
+ * 回答履歴を時系列に再生して、問題IDごとの復習スケジュールを求める。
+ * スケジュールは履歴から毎回導出するため、別途保存はしない。
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// 正誤のみを記録しているため、SM-2 の回答品質 (0-5) は2段階で近似する
+const QUALITY_CORRECT = 4;
+const QUALITY_INCORRECT = 1;
+
+const nextState = (state, correct, timestamp) => {
+  const q = correct ? QUALITY_CORRECT : QUALITY_INCORRECT;
+  const easeFactor = Math.max(MIN_EASE, state.easeFactor + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+  let repetitions, interval;
+  if (q < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions = state.repetitions + 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round(state.interval * easeFactor);
+  }
+
+  return {
+    repetitions,
+    interval, // days
+    easeFactor,
+    due: timestamp + interval * DAY,
+    lastCorrect: correct,
+    lapses: state.lapses + (correct ? 0 : 1)
+  };
+};
+
+/**
+ * @returns {Map<number, { repetitions, interval, easeFactor, due, lastCorrect, lapses }>}
+ */
+export const buildSchedule = (history) => {
+  const schedule = new Map();
+  const sorted = [...history].sort((a, b) => a.timestamp - b.timestamp);
+  for (const attempt of sorted) {
+    const state = schedule.get(attempt.questionId) || { repetitions: 0, interval: 0, easeFactor: INITIAL_EASE, lapses: 0 };
+    schedule.set(attempt.questionId, nextState(state, attempt.correct, attempt.timestamp));
+  }
+  return schedule;
+};
+
+export const isDue = (state, now = Date.now()) => !!state && state.due <= now;
+
+/**
+ * 復習モードの優先度 (小さいほど優先)
+ * 0: 期限切れ かつ 前回不正解
+ * 1: 期限切れ
+ * 2: 未出題
+ * 3: 前回不正解 (期限前)
+ * 4: 期限前
+ */
+const priority = (state, now) => {
+  if (!state) return 2;
+  if (isDue(state, now)) return state.lastCorrect ? 1 : 0;
+  return state.lastCorrect ? 4 : 3;
+};
+
+/**
+ * 復習スケジュールに従って候補を並べ替える (同じ優先度なら期限の古い順)
+ * 入力の順序は同順位のときのみ保たれるため、事前にシャッフルしておくと偏りがない。
+ */
+export const sortByReviewPriority = (candidates, schedule, now = Date.now()) => {
+  return [...candidates].sort((a, b) => {
+    const sa = schedule.get(a.id);
+    const sb = schedule.get(b.id);
+    return priority(sa, now) - priority(sb, now) || (sa?.due ?? 0) - (sb?.due ?? 0);
+  });
+};
+
+export const countDue = (candidates, schedule, now = Date.now()) =>
+  candidates.filter(q => isDue(schedule.get(q.id), now)).length;
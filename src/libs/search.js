@@ -0,0 +1,120 @@
+import { toHiragana } from './textAnswer';
+
+/**
+ * --- SEARCH ---
+ * 問題バンクの全文検索 (問題文・選択肢・解説・タグ)
+ * 日本語は単語の区切りが無いので、正規化した文字列の連続する2文字 (bigram) を索引の単位にする。
+ * 検索語の bigram をすべて含む問題を、一致したフィールドの重みの合計が大きい順に返す。
+ *
+ * 索引はビルド時に作って JSON として出力し (src/libs/questionBank.ts)、
+ * 演習画面は最初に検索したときに取得する (src/libs/questionRepository.js)。
+ */
+
+// フィールドごとの重み (タグや問題文に一致した問題を上位にする)
+const FIELD_WEIGHTS = { tags: 5, question: 3, answers: 2, explanation: 1 };
+const SNIPPET_LENGTH = 60;
+
+/**
+ * 検索用に正規化した文字列。単語の区切りは半角スペース1つになる
+ * - 全角・半角 (NFKC)、カタカナ → ひらがな、英字の大文字小文字を揃える
+ * - テンプレートの {{...}}、LaTeX の命令 (\text など) と記号 ({}_^$*`) は除く ($\text{H}_2\text{O}$ → h2o)
+ */
+export const normalizeForSearch = (text) => toHiragana(String(text).normalize('NFKC'))
+  .replace(/\{\{[^}]*\}\}/g, ' ')
+  .replace(/\\[a-zA-Z]+/g, '')
+  .replace(/[{}_^$*`\\]/g, '')
+  .replace(/[\s、。，．,.・:;!?'"()[\]<>=+\-→|#「」『』（）【】]+/g, ' ')
+  .toLowerCase()
+  .trim();
+
+// 文字列の bigram (1文字の語はその1文字)
+export const tokenize = (text) => {
+  const grams = new Set();
+  for (const word of normalizeForSearch(text).split(' ')) {
+    if (word.length === 1) grams.add(word);
+    for (let i = 0; i + 2 <= word.length; i++) grams.add(word.slice(i, i + 2));
+  }
+  return [...grams];
+};
+
+// 問題の検索対象のテキスト (フィールドごと)
+const searchableFields = (question) => {
+  const options = question.options || [];
+  const captions = (figures) => (figures || []).map(figure => figure.caption);
+  return {
+    tags: question.tags || [],
+    question: [question.question, ...captions(question.figures)],
+    answers: [
+      ...options.map(option => option.text),
+      ...(question.left || []), ...(question.right || []), ...(question.items || []),
+      ...(question.acceptedAnswers || [])
+    ],
+    explanation: [question.generalExplanation, ...options.map(option => option.explanation), ...captions(question.explanationFigures)]
+  };
+};
+
+// 一覧に表示する問題文の冒頭 (数式は記号を除いた中身、テンプレートの値は … にする)
+// 検索結果のほか、結果画面の間違えた問題の一覧でも使う (1行に収まるプレーンテキストにする)
+export const snippet = (text) => {
+  const plain = text
+    .replace(/\{\{[^}]*\}\}/g, '…')
+    .replace(/\$\$?([^$]*)\$\$?/g, (_, tex) => tex.replace(/\\[a-zA-Z]+|[{}_^\\]/g, ''))
+    .replace(/\*\*|`/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return plain.length > SNIPPET_LENGTH ? `${plain.slice(0, SNIPPET_LENGTH)}…` : plain;
+};
+
+/**
+ * 検索用の索引を作る (ビルド時)
+ * @param {{ id: number }[]} questions 問題 (問題ファイルの内容 + id)
+ * @returns {{ postings: Record<string, number[]>, snippets: Record<number, string> }}
+ *   postings は bigram → [問題ID, 重み, 問題ID, 重み, ...]
+ */
+export const buildSearchIndex = (questions) => {
+  const postings = {};
+  const snippets = {};
+  for (const question of questions) {
+    const weights = new Map();
+    for (const [field, texts] of Object.entries(searchableFields(question))) {
+      const grams = new Set(texts.filter(Boolean).flatMap(tokenize));
+      grams.forEach(gram => weights.set(gram, (weights.get(gram) || 0) + FIELD_WEIGHTS[field]));
+    }
+    for (const [gram, weight] of weights) {
+      (postings[gram] ||= []).push(question.id, weight);
+    }
+    snippets[question.id] = snippet(question.question);
+  }
+  return { postings, snippets };
+};
+
+// bigram に一致する問題 (ID → 重み)。1文字の検索語はその文字を含む bigram すべてに一致させる
+const lookup = (postings, gram) => {
+  const keys = gram.length === 1 ? Object.keys(postings).filter(key => key.includes(gram)) : [gram];
+  const weights = new Map();
+  for (const key of keys) {
+    const list = postings[key] || [];
+    for (let i = 0; i < list.length; i += 2) weights.set(list[i], Math.max(weights.get(list[i]) || 0, list[i + 1]));
+  }
+  return weights;
+};
+
+/**
+ * 索引から検索する
+ * @returns {{ id: number, score: number }[]} 検索語のすべての bigram を含む問題。score の高い順 (同点は ID 順)
+ */
+export const searchIndex = (index, query) => {
+  const grams = tokenize(query);
+  if (grams.length === 0) return [];
+  let scores = null;
+  for (const gram of grams) {
+    const matches = lookup(index.postings, gram);
+    scores = scores === null
+      ? matches
+      : new Map([...scores].filter(([id]) => matches.has(id)).map(([id, score]) => [id, score + matches.get(id)]));
+    if (scores.size === 0) return [];
+  }
+  return [...scores]
+    .map(([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score || a.id - b.id);
+};
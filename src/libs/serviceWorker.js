@@ -0,0 +1,37 @@
+import { siteUrl } from './siteUrl';
+
+/**
+ * --- SERVICE WORKER (PAGE) ---
+ * sw.js (src/integrations/serviceWorker.js がビルド時に生成) を登録し、新しいビルドの待機を通知する。
+ * 開発サーバーでは sw.js が無いので登録しない。
+ */
+
+/**
+ * @param {(worker: ServiceWorker) => void} onUpdate 新しい版がインストールされ、切り替え待ちになったとき
+ */
+export const registerServiceWorker = (onUpdate) => {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+  // sw.js はサイトのルートにある。サブパスに公開してもよいようにページからの相対 URL で登録する
+  // (スコープは sw.js の場所 = サイト全体)
+  const siteRoot = siteUrl();
+  navigator.serviceWorker.register(new URL('sw.js', siteRoot), { scope: siteRoot.pathname })
+    .then(registration => {
+      // 初回インストール時 (controller が無い) は切り替えるものが無いので通知しない
+      const notify = () => {
+        if (registration.waiting && navigator.serviceWorker.controller) onUpdate(registration.waiting);
+      };
+      notify();
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => worker.state === 'installed' && notify());
+      });
+    })
+    .catch(e => console.error("Service worker registration failed", e));
+};
+
+// 待機中の版に切り替えてページを読み込み直す
+export const applyUpdate = (worker) => {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  worker.postMessage({ type: 'SKIP_WAITING' });
+};
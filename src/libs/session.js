@@ -0,0 +1,66 @@
+/**
+ * --- QUIZ SESSION ---
+ * 解答中の演習を localStorage に保存し、再読み込み後に再開できるようにする。
+ *
+ * 保存形式 = { version, bankVersion, savedAt, questionIds, userAnswers, userFlags,
+ *             currentIndex, questionTimes, exam, seed, variants }
+ * - version    : 保存形式のバージョン。形式を変えたら SESSION_VERSION を上げる
+ * - bankVersion: 保存時の問題データのハッシュ (questionBank.ts)。問題が変わっていたら破棄する
+ * - seed       : 問題の選出とテンプレートの値に使った乱数のシード
+ * - variants   : テンプレート問題の出題値 { 問題ID: { 変数名: 値 } }。再開時に同じ値で出題する
+ * 構造式の解答は NanoMolEditor の状態を保存する。undo 履歴 (history, historyIndex) は
+ * localStorage を圧迫するので保存しない (再開後は undo できない)。
+ */
+
+const STORAGE_KEY = 'chemreview:session';
+const SESSION_VERSION = 1;
+
+// 構造式の解答から undo 履歴を除く
+const withoutHistory = (answer) => {
+  if (!answer || typeof answer !== 'object' || !('history' in answer)) return answer;
+  const { history, historyIndex, ...rest } = answer;
+  return rest;
+};
+
+export const saveSession = (session) => {
+  const userAnswers = Object.fromEntries(Object.entries(session.userAnswers).map(([id, answer]) => [id, withoutHistory(answer)]));
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...session, userAnswers, version: SESSION_VERSION, savedAt: Date.now() }));
+  } catch (e) {
+    // 保存できなくても演習は続けられる (再開できないだけ)
+    console.error("Failed to save session", e);
+  }
+};
+
+export const clearSession = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.error("Failed to clear session", e);
+  }
+};
+
+/**
+ * 再開できるセッションを返す。形式や問題データのバージョンが違うものは破棄して null を返す
+ */
+export const loadSession = (bankVersion) => {
+  if (typeof localStorage === 'undefined') return null;
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    const session = JSON.parse(raw);
+    const isValid = session
+      && session.version === SESSION_VERSION
+      && session.bankVersion === bankVersion
+      && Array.isArray(session.questionIds) && session.questionIds.length > 0;
+    if (!isValid) {
+      clearSession();
+      return null;
+    }
+    return session;
+  } catch (e) {
+    console.error("Failed to load session", e);
+    clearSession();
+    return null;
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * --- SITE URL ---
+ * サブパスに公開してもよいように (astro-relative-links)、サイト内の URL はページの URL からの相対で求める。
+ * ページは <サイト>/<ページ名>/ にあるが、末尾のスラッシュが無い URL (…/problems) や
+ * …/problems/index.html で開かれることもあるので、先にページのディレクトリの URL にそろえる。
+ */
+
+// ページのディレクトリ (<サイト>/<ページ名>/) の URL
+export const pageDirectory = (href = window.location.href) => {
+  const url = new URL(href);
+  url.search = '';
+  url.hash = '';
+  const last = url.pathname.slice(url.pathname.lastIndexOf('/') + 1);
+  if (last.includes('.')) url.pathname = url.pathname.slice(0, -last.length);
+  else if (last) url.pathname += '/';
+  return url;
+};
+
+/**
+ * サイトのルートからの相対パス → 絶対 URL (例: siteUrl('print/'))
+ * ページ (<サイト>/<ページ名>/) から使う
+ */
+export const siteUrl = (path = '', href = window.location.href) => new URL(`../${path}`, pageDirectory(href));
@@ -0,0 +1,71 @@
+/**
+ * 構造式エディタ (NanoMolEditor) で描いた原子と結合から SMILES を作る。
+ * 採点 (src/libs/grading.js) と問題作成ページでも使うので、コンポーネントから分けておく。
+ * 生成した SMILES は正規化していない (比較するときは RDKit で正規化する: src/libs/rdkit.ts)
+ */
+
+export interface SmilesAtom {
+  id: string;
+  element: string;
+}
+
+export interface SmilesBond {
+  id: string;
+  source: string; // Atom ID
+  target: string; // Atom ID
+  type: number; // 1: Single, 2: Double, 3: Triple
+}
+
+// Elements that can be written without brackets
+const ORGANIC_SUBSET: string[] = ['B', 'C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I'];
+
+// SMILES Generator (Simplified)
+export const generateSmiles = (atoms: SmilesAtom[], bonds: SmilesBond[]): string => {
+  if (atoms.length === 0) return '';
+
+  const adj: Record<string, { neighborId: string; bondId: string; bondType: number }[]> = {};
+  atoms.forEach(a => (adj[a.id] = []));
+  bonds.forEach(b => {
+    adj[b.source]?.push({ neighborId: b.target, bondId: b.id, bondType: b.type });
+    adj[b.target]?.push({ neighborId: b.source, bondId: b.id, bondType: b.type });
+  });
+
+  const visited = new Set<string>();
+  const rings: Record<string, number> = {}; // Key: Bond ID (both ends share the ring number)
+  let ringCounter = 1;
+  let smilesParts: string[] = [];
+
+  const dfs = (currentId: string, parentId: string | null): string => {
+    visited.add(currentId);
+    const atom = atoms.find(a => a.id === currentId);
+    if (!atom) return '';
+    // Outside the organic subset (e.g. explicit H) atoms must be bracketed
+    let str = ORGANIC_SUBSET.includes(atom.element) ? atom.element : `[${atom.element}]`;
+    const neighbors = adj[currentId] || [];
+    const branches: string[] = [];
+    
+    for (const edge of neighbors) {
+      if (edge.neighborId === parentId) continue;
+      const bondSymbol = edge.bondType === 3 ? '#' : edge.bondType === 2 ? '=' : '';
+      if (visited.has(edge.neighborId)) {
+        if (!rings[edge.bondId]) rings[edge.bondId] = ringCounter++;
+        str += `${bondSymbol}${rings[edge.bondId]}`;
+      } else {
+        branches.push(`${bondSymbol}${dfs(edge.neighborId, currentId)}`);
+      }
+    }
+    if (branches.length > 0) {
+      const last = branches.pop();
+      str += branches.map(b => `(${b})`).join('') + last;
+    }
+    return str;
+  };
+
+  atoms.forEach(atom => {
+    if (!visited.has(atom.id)) {
+      smilesParts.push(dfs(atom.id, null));
+    }
+  });
+
+  return smilesParts.join('.');
+};
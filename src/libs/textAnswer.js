@@ -0,0 +1,35 @@
+import { formulaKey } from './equation';
+
+/**
+ * --- SHORT ANSWER ---
+ * 記述 (短答) 問題の表記ゆれを吸収して照合する
+ * - 全角・半角 (NFKC)、下付き数字 (H₂ → H2)
+ * - カタカナ → ひらがな
+ * - 前後の空白・句読点、英字の大文字小文字
+ * - 化学式として解釈できる場合は組成と電荷で比較 (H2O と OH2 は同じ)
+ */
+
+export const toHiragana = (text) => text.replace(/[ァ-ヶ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0x60));
+
+export const normalizeTextAnswer = (text) => toHiragana(String(text).normalize('NFKC'))
+  .replace(/\s+/g, '')
+  .replace(/[。、,.．]+$/, '')
+  .toLowerCase();
+
+// 係数付き ("2H") などは化学式として扱わない
+const toFormulaKey = (text) => {
+  const t = String(text).normalize('NFKC').trim();
+  return /^[A-Z(\[]/.test(t) ? formulaKey(t) : null;
+};
+
+const isMatch = (answer, accepted) => {
+  const answerKey = toFormulaKey(answer);
+  const acceptedKey = toFormulaKey(accepted);
+  if (answerKey !== null && acceptedKey !== null) return answerKey === acceptedKey;
+  return normalizeTextAnswer(answer) === normalizeTextAnswer(accepted);
+};
+
+export const matchTextAnswer = (acceptedAnswers, answer) => {
+  if (!answer || normalizeTextAnswer(answer) === '') return false;
+  return acceptedAnswers.some(accepted => isMatch(answer, accepted));
+};
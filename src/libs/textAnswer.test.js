@@ -0,0 +1,46 @@
+import { describe, expect, test } from 'vitest';
+import { toHiragana, normalizeTextAnswer, matchTextAnswer } from './textAnswer';
+
+test('toHiragana', () => {
+  expect(toHiragana('アンモニア')).toBe('あんもにあ');
+  expect(toHiragana('ヴ')).toBe('ゔ');
+  expect(toHiragana('ー')).toBe('ー');
+});
+
+test('normalizeTextAnswer', () => {
+  expect(normalizeTextAnswer(' ﾁｯｿ ')).toBe('ちっそ');
+  expect(normalizeTextAnswer('ＮａＣｌ')).toBe('nacl');
+  expect(normalizeTextAnswer('酸化 還元。')).toBe('酸化還元');
+});
+
+describe('matchTextAnswer', () => {
+  test('カタカナ・ひらがな、全角・半角、末尾の句読点', () => {
+    expect(matchTextAnswer(['アンモニア'], 'あんもにあ')).toBe(true);
+    expect(matchTextAnswer(['アンモニア'], 'ｱﾝﾓﾆｱ。')).toBe(true);
+    expect(matchTextAnswer(['アンモニア'], 'アンモニウム')).toBe(false);
+  });
+
+  test('どれか1つの表記に一致すれば正解', () => {
+    expect(matchTextAnswer(['水素', 'H2'], '水素')).toBe(true);
+    expect(matchTextAnswer(['水素', 'H2'], 'H₂')).toBe(true);
+  });
+
+  test('化学式は組成と電荷で比較する', () => {
+    expect(matchTextAnswer(['H2O'], 'OH2')).toBe(true);
+    expect(matchTextAnswer(['NH4^+'], 'NH₄⁺')).toBe(true);
+    expect(matchTextAnswer(['NH4^+'], 'NH4')).toBe(false);
+    // 元素記号の大文字・小文字は区別する (Co はコバルト、CO は一酸化炭素)
+    expect(matchTextAnswer(['CO'], 'Co')).toBe(false);
+  });
+
+  test('化学式として読めない解答は文字列として比較する', () => {
+    expect(matchTextAnswer(['CO'], 'co')).toBe(true);
+    expect(matchTextAnswer(['H2'], '2H')).toBe(false);
+  });
+
+  test('未解答は不正解', () => {
+    expect(matchTextAnswer(['水素'], '')).toBe(false);
+    expect(matchTextAnswer(['水素'], '  ')).toBe(false);
+    expect(matchTextAnswer(['水素'], undefined)).toBe(false);
+  });
+});
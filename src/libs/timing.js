@@ -0,0 +1,30 @@
+/**
+ * --- TIMING ---
+ * 試験モードの制限時間と、問題ごとの所要時間の集計
+ */
+
+// ミリ秒を "m:ss" (1時間以上は "h:mm:ss") で表示する
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(totalSeconds / 3600);
+  const m = Math.floor((totalSeconds % 3600) / 60);
+  const s = String(totalSeconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+/**
+ * 問題ごとの所要時間をまとめる
+ * - times: { [questionId]: ms }
+ * 戻り値: { total, average, max, items: [{ id, index, ms, share }] }
+ */
+export const summarizeTimes = (questions, times) => {
+  const items = questions.map((q, index) => ({ id: q.id, index, ms: times[q.id] || 0 }));
+  const total = items.reduce((sum, item) => sum + item.ms, 0);
+  const max = Math.max(0, ...items.map(item => item.ms));
+  return {
+    total,
+    average: items.length > 0 ? total / items.length : 0,
+    max,
+    items: items.map(item => ({ ...item, share: total > 0 ? item.ms / total : 0 }))
+  };
+};
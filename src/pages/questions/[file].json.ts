@@ -0,0 +1,42 @@
+import { posix } from 'node:path';
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { loadQuestionBank, type QuestionData } from '../../libs/questionBank';
+
+/**
+ * 問題1問分の JSON (questions/<id>.<hash>.json) と全文検索の索引 (questions/search.<hash>.json)。
+ * 演習画面の QuestionRepository が、出題する問題と検索したときの索引だけを取得する。
+ *
+ * 図の src (ビルド後のアセットの URL) は questions/ からの相対パスにして書き出す。
+ * ルートからの絶対パスのままではサブパスに公開したときに見つからないため (QuestionRepository が取得時に解決する)。
+ */
+
+const QUESTIONS_DIR = `${import.meta.env.BASE_URL}questions/`;
+
+type Figure = QuestionData['figures'][number];
+
+const relativeFigure = (figure: Figure): Figure => ({
+  ...figure,
+  src: { ...figure.src, src: posix.relative(QUESTIONS_DIR, figure.src.src) }
+});
+
+const withRelativeFigures = (question: QuestionData): QuestionData => ({
+  ...question,
+  figures: question.figures.map(relativeFigure),
+  explanationFigures: question.explanationFigures.map(relativeFigure),
+  ...(question.type === 'selection' && {
+    options: question.options.map(o => o.figure ? { ...o, figure: relativeFigure(o.figure) } : o)
+  })
+} as QuestionData);
+export const getStaticPaths = (async () => {
+  const { questionIndex, questionDetails, searchIndex, searchIndexFile } = await loadQuestionBank();
+  const toParam = (file: string) => file.replace(/\.json$/, '');
+  return [
+    ...questionIndex.map(item => ({ params: { file: toParam(item.file) }, props: { data: withRelativeFigures(questionDetails[item.id]) } })),
+    { params: { file: toParam(searchIndexFile) }, props: { data: searchIndex } }
+  ];
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute<{ data: unknown }> = ({ props }) =>
+  new Response(JSON.stringify(props.data), {
+    headers: { 'Content-Type': 'application/json; charset=utf-8' }
+  });